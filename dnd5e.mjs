@@ -252,6 +252,13 @@ Hooks.once("init", function() {
   // Set up status effects
   _configureStatusEffects();
 
+  // Register detection modes
+  const { detectionModes } = canvas;
+  CONFIG.Canvas.detectionModes.blindsight = new detectionModes.DetectionModeBlindsight();
+  CONFIG.Canvas.detectionModes.seeInMagicalDarkness = new detectionModes.DetectionModeSeeInMagicalDarkness();
+  CONFIG.Canvas.detectionModes.tremorsense = new detectionModes.DetectionModeTremorsense();
+  CONFIG.Canvas.detectionModes.truesight = new detectionModes.DetectionModeTruesight();
+
   // Remove honor & sanity from configuration if they aren't enabled
   if ( !game.settings.get("dnd5e-2014", "honorScore") ) delete DND5E.abilities.hon;
   if ( !game.settings.get("dnd5e-2014", "sanityScore") ) delete DND5E.abilities.san;
@@ -348,6 +355,9 @@ Hooks.once("init", function() {
 
   // Exhaustion handling
   documents.ActiveEffect5e.registerHUDListeners();
+
+  // Action economy on the token HUD
+  Hooks.on("renderTokenHUD", applications.combat.CombatTracker5e.onRenderTokenHUD);
 });
 
 /* -------------------------------------------- */
@@ -571,6 +581,14 @@ Hooks.once("ready", function() {
     }
   });
 
+  // Apply merchant trades requested by players who don't own the merchant
+  game.socket.on("system.dnd5e-2014", dataModels.actor.GroupData.onSocketMessage);
+
+  // Re-prepare vehicles whose stations are operated by linked crew, which may have been prepared after the vehicle
+  game.actors.forEach(actor => {
+    if ( actor.system.cargo?.crew?.some(c => c.actor && c.station) ) actor.reset();
+  });
+
   // Determine whether a system migration is required and feasible
   if ( !game.user.isGM ) return;
   const cv = game.settings.get("dnd5e-2014", "systemMigrationVersion") || game.world.flags["dnd5e-2014"]?.version;
@@ -690,18 +708,27 @@ Hooks.on("renderChatLog", (app, html, data) => {
 Hooks.on("renderChatPopout", (app, html, data) => documents.Item5e.chatListeners(html));
 
 Hooks.on("chatMessage", (app, message, data) => applications.Award.chatMessage(message));
+Hooks.on("chatMessage", (app, message, data) => enrichers.chatMessage(message));
 
 Hooks.on("renderActorDirectory", (app, html, data) => documents.Actor5e.onRenderActorDirectory(html));
+Hooks.on("renderActorDirectory", (app, [html], data) => applications.EncounterBuilder.injectSidebarButton(html));
+Hooks.on("renderActorDirectory", (app, [html], data) => {
+  applications.advancement.CharacterCreator.injectSidebarButton(html);
+});
 Hooks.on("getActorDirectoryEntryContext", documents.Actor5e.addDirectoryContextOptions);
 
 Hooks.on("renderCompendiumDirectory", (app, [html], data) => applications.CompendiumBrowser.injectSidebarButton(html));
 Hooks.on("getCompendiumEntryContext", documents.Item5e.addCompendiumContextOptions);
 Hooks.on("getItemDirectoryEntryContext", documents.Item5e.addDirectoryContextOptions);
+Hooks.on("getItemDirectoryFolderContext", documents.Item5e.addFolderContextOptions);
 
 Hooks.on("renderJournalPageSheet", applications.journal.JournalSheet5e.onRenderJournalPageSheet);
 
 Hooks.on("targetToken", canvas.Token5e.onTargetToken);
 
+Hooks.on("updateCombat", documents.ActiveEffect5e.onUpdateCombat);
+Hooks.on("updateWorldTime", documents.ActiveEffect5e.onUpdateWorldTime);
+
 /* -------------------------------------------- */
 /*  Bundled Module Exports                      */
 /* -------------------------------------------- */
@@ -11,6 +11,8 @@ export {default as CompendiumBrowser} from "./compendium-browser.mjs";
 export {default as ContextMenu5e} from "./context-menu.mjs";
 export {default as CurrencyManager} from "./currency-manager.mjs";
 export {default as DialogMixin} from "./dialog-mixin.mjs";
+export {default as EncounterBuilder} from "./encounter-builder.mjs";
+export {default as LevelUpAssistant} from "./level-up-assistant.mjs";
 export {default as PropertyAttribution} from "./property-attribution.mjs";
 export {default as SheetConfig} from "./sheet-config.mjs";
 export {default as SourceConfig} from "./source-config.mjs";
@@ -15,6 +15,7 @@ export {default as ActorHitDiceConfig} from "./hit-dice-config.mjs";
 export {default as ActorHitPointsConfig} from "./hit-points-config.mjs";
 export {default as ActorSkillsConfig} from "./skills-config.mjs";
 export {default as ActorSpellSlotsConfig} from "./spell-slots-config.mjs";
+export {default as SpellPreparationConfig} from "./spell-preparation-config.mjs";
 export {default as ActorInitiativeConfig} from "./initiative-config.mjs";
 export {default as LongRestDialog} from "./long-rest.mjs";
 export {default as ActorMovementConfig} from "./movement-config.mjs";
@@ -126,7 +126,8 @@ export default class ActorSheet5e extends ActorSheetMixin(ActorSheet) {
       skills: foundry.utils.deepClone(this.actor.system.skills ?? {}),
       tools: foundry.utils.deepClone(this.actor.system.tools ?? {}),
       labels: this._getLabels(),
-      movement: this._getMovementSpeed(this.actor.system),
+      movement: this._getMovementSpeed(this.actor.mount?.system ?? this.actor.system),
+      mount: this.actor.mount,
       senses: this._getSenses(this.actor.system),
       effects: EffectsElement.prepareCategories(this.actor.allApplicableEffects()),
       warnings: foundry.utils.deepClone(this.actor._preparationWarnings),
@@ -927,6 +928,9 @@ export default class ActorSheet5e extends ActorSheetMixin(ActorSheet) {
       return this._onSortItem(event, item.toObject());
     }
 
+    // Purchase items from merchants
+    if ( item.parent?.system.isMerchant ) return item.parent.system.sellTo(item, this.actor);
+
     return this._onDropItemCreate(item);
   }
 
@@ -3,7 +3,9 @@ import * as Trait from "../../documents/actor/trait.mjs";
 import { simplifyBonus } from "../../utils.mjs";
 import CompendiumBrowser from "../compendium-browser.mjs";
 import ContextMenu5e from "../context-menu.mjs";
+import LevelUpAssistant from "../level-up-assistant.mjs";
 import SheetConfig5e from "../sheet-config.mjs";
+import SpellPreparationConfig from "./spell-preparation-config.mjs";
 import ActorSheet5eCharacter from "./character-sheet.mjs";
 import ActorSheetV2Mixin from "./sheet-v2-mixin.mjs";
 
@@ -109,12 +111,14 @@ export default class ActorSheet5eCharacter2 extends ActorSheetV2Mixin(ActorSheet
       return acc;
     }, { left: [], right: [] });
 
-    // Speed
+    // Speed, using the mount's movement while mounted
+    const movement = context.mount?.system.attributes.movement ?? attributes.movement;
     context.speed = Object.entries(CONFIG.DND5E.movementTypes).reduce((obj, [k, label]) => {
-      const value = attributes.movement[k];
+      const value = movement[k];
       if ( value > obj.value ) Object.assign(obj, { value, label });
       return obj;
     }, { value: 0, label: CONFIG.DND5E.movementTypes.walk });
+    if ( context.mount ) context.speed.label = game.i18n.format("DND5E.Mount.Speed", { speed: context.speed.label });
 
     // Death Saves
     context.death.open = this._deathTrayOpen;
@@ -196,7 +200,10 @@ export default class ActorSheet5eCharacter2 extends ActorSheetV2Mixin(ActorSheet
         ability: { mod, ability: sc.ability },
         attack: mod + this.actor.system.attributes.prof + attackBonus,
         primary: this.actor.system.attributes.spellcasting === sc.ability,
-        save: ability?.dc ?? 0
+        save: ability?.dc ?? 0,
+        identifier: item.identifier,
+        preparation: item.system.spellcasting.preparation?.formula ? item.system.spellcasting.preparation : null,
+        known: Number.isFinite(item.system.spellcasting.known?.max) ? item.system.spellcasting.known : null
       });
     }
 
@@ -388,6 +395,10 @@ export default class ActorSheet5eCharacter2 extends ActorSheetV2Mixin(ActorSheet
     const target = event.currentTarget;
     switch ( target.dataset.action ) {
       case "findItem": this._onFindItem(target.dataset.itemType); break;
+      case "levelUp": new LevelUpAssistant(this.actor).render(true); break;
+      case "prepareSpells":
+        new SpellPreparationConfig(this.actor, { identifier: target.dataset.identifier }).render(true);
+        break;
       case "removeFavorite": this._onRemoveFavorite(event); break;
       case "spellcasting": this._onToggleSpellcasting(event); break;
       case "toggleInspiration": this._onToggleInspiration(); break;
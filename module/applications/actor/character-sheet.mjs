@@ -1,6 +1,9 @@
 import ActorSheet5e from "./base-sheet.mjs";
 import ActorTypeConfig from "./type-config.mjs";
 import AdvancementManager from "../advancement/advancement-manager.mjs";
+import LevelUpAssistant from "../level-up-assistant.mjs";
+import SpellPreparationConfig from "./spell-preparation-config.mjs";
+import { formatNumber } from "../../utils.mjs";
 
 /**
  * An Actor sheet for player character type actors.
@@ -36,6 +39,9 @@ export default class ActorSheet5eCharacter extends ActorSheet5e {
     const classes = this.actor.itemTypes.class;
     return foundry.utils.mergeObject(context, {
       disableExperience: game.settings.get("dnd5e-2014", "disableExperienceTracking"),
+      canLevelUp: this.actor.isOwner && this.actor.canLevelUp,
+      canPrepareSpells: Object.values(this.actor.spellcastingClasses)
+        .some(cls => cls.system.spellcasting.preparation?.formula),
       classLabels: classes.map(c => c.name).join(", "),
       labels: {
         type: context.system.details.type.label
@@ -251,6 +257,10 @@ export default class ActorSheet5eCharacter extends ActorSheet5e {
     event.preventDefault();
     const button = event.currentTarget;
     switch ( button.dataset.action ) {
+      case "levelUp":
+        return new LevelUpAssistant(this.actor).render(true);
+      case "prepareSpells":
+        return new SpellPreparationConfig(this.actor).render(true);
       case "convertCurrency":
         return Dialog.confirm({
           title: `${game.i18n.localize("DND5E.CurrencyConvert")}`,
@@ -320,6 +330,12 @@ export default class ActorSheet5eCharacter extends ActorSheet5e {
         cls.update({"system.levels": priorLevel + itemData.system.levels});
         return false;
       }
+      if ( !AdvancementManager.checkMulticlassPrerequisites(this.actor, itemData) ) return false;
+    }
+
+    // Offer to copy leveled spells into a spellbook and respect the number of spells a class can know
+    else if ( (itemData.type === "spell") && (itemData.system.level > 0) && (this._tabs[0]?.active !== "inventory") ) {
+      if ( (await this._onDropLearnSpell(itemData)) === false ) return false;
     }
 
     // If a subclass is dropped, ensure it doesn't match another subclass with the same identifier
@@ -339,4 +355,54 @@ export default class ActorSheet5eCharacter extends ActorSheet5e {
     }
     return super._onDropSingleItem(itemData);
   }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Handle a leveled spell dropped onto the sheet, offering to copy it into a spellbook if the class learning it uses
+   * one and preventing it from being added if that class already knows as many spells as it can.
+   * @param {object} itemData          The spell data requested for creation. **Will be mutated.**
+   * @returns {Promise<boolean|void>}  Explicitly `false` if the spell should not be created.
+   * @protected
+   */
+  async _onDropLearnSpell(itemData) {
+    const cls = this.actor.getSpellLearningClass(itemData);
+    if ( !cls ) return;
+    if ( !this.actor.canLearnSpell(cls) ) {
+      ui.notifications.warn(game.i18n.format("DND5E.SpellsKnown.Warning", {
+        class: cls.name, max: cls.system.spellcasting.known.max
+      }));
+      return false;
+    }
+    if ( !cls.system.spellcasting.spellbook ) return;
+
+    const { cost, time } = CONFIG.DND5E.spellbookCopying;
+    const level = itemData.system.level;
+    const choice = await Dialog.wait({
+      title: game.i18n.format("DND5E.SpellLearning.Learn.Title", { spell: itemData.name }),
+      content: `<p>${game.i18n.format("DND5E.SpellLearning.Learn.Hint", {
+        spell: itemData.name, class: cls.name, cost: formatNumber(cost * level), time: formatNumber(time * level)
+      })}</p>`,
+      buttons: {
+        copy: {
+          icon: '<i class="fas fa-feather-pointed"></i>',
+          label: game.i18n.localize("DND5E.SpellLearning.Learn.Copy"),
+          callback: () => "copy"
+        },
+        add: {
+          icon: '<i class="fas fa-plus"></i>',
+          label: game.i18n.localize("DND5E.SpellLearning.Learn.Add"),
+          callback: () => "add"
+        }
+      },
+      default: "copy",
+      close: () => null
+    });
+    if ( choice === "copy" ) {
+      await this.actor.learnSpell(itemData, { classIdentifier: cls.identifier });
+      return false;
+    }
+    if ( choice !== "add" ) return false;
+    itemData.system.sourceClass = cls.identifier;
+  }
 }
@@ -66,6 +66,12 @@ export default class GroupActorSheet extends ActorSheetMixin(ActorSheet) {
     // XP
     if ( !game.settings.get("dnd5e-2014", "disableExperienceTracking") ) context.xp = context.system.details.xp;
 
+    // Difficulty
+    if ( context.system.type.value === "encounter" ) context.difficulty = this.#prepareDifficulty();
+
+    // Merchant
+    context.isMerchant = context.system.isMerchant;
+
     // Inventory
     context.itemContext = {};
     context.inventory = this.#prepareInventory(context);
@@ -187,6 +193,39 @@ export default class GroupActorSheet extends ActorSheetMixin(ActorSheet) {
 
   /* -------------------------------------------- */
 
+  /**
+   * Prepare encounter difficulty data for rendering on the sheet.
+   * @returns {object}
+   */
+  #prepareDifficulty() {
+    const difficulty = this.actor.system.difficulty;
+    const config = CONFIG.DND5E.encounterDifficulties;
+    const context = { ...difficulty, party: difficulty.party?.name };
+    if ( !difficulty.characters ) {
+      context.label = game.i18n.localize("DND5E.Group.Difficulty.NoParty");
+      return context;
+    }
+    context.label = config[difficulty.rating]?.label ?? game.i18n.localize("DND5E.Group.Difficulty.Trivial");
+    const max = difficulty.thresholds.deadly || 1;
+    context.pct = Math.clamp((difficulty.adjusted / max) * 100, 0, 100).toFixed(2);
+    context.markers = Object.entries(difficulty.thresholds).map(([key, value]) => ({
+      key, label: config[key].label, value: formatNumber(value), pct: Math.clamp((value / max) * 100, 0, 100).toFixed(2)
+    }));
+    context.adjustedLabel = formatNumber(difficulty.adjusted);
+    context.dailyLabel = formatNumber(difficulty.daily);
+    context.tooltip = [
+      game.i18n.format("DND5E.Group.Difficulty.Party", { party: context.party, characters: difficulty.characters }),
+      game.i18n.format("DND5E.Group.Difficulty.Multiplier", {
+        xp: formatNumber(difficulty.xp), multiplier: formatNumber(difficulty.multiplier),
+        adjusted: context.adjustedLabel
+      }),
+      ...context.markers.map(m => `${m.label}: ${m.value}`)
+    ].join("<br>");
+    return context;
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Prepare movement speed data for rendering on the sheet.
    * @returns {{secondary: string, primary: string}}
@@ -234,10 +273,30 @@ export default class GroupActorSheet extends ActorSheetMixin(ActorSheet) {
       ctx.canToggle = false;
       ctx.isExpanded = this._expanded.has(item.id);
       ctx.hasUses = item.hasLimitedUses;
+      if ( this.actor.system.isMerchant ) {
+        const { value, denomination } = this.actor.system.getTradePrice(item);
+        const abbreviation = CONFIG.DND5E.currencies[denomination]?.abbreviation ?? denomination;
+        ctx.tradePrice = `${formatNumber(value, { maximumFractionDigits: 2 })} ${abbreviation}`;
+      }
       if ( (item.type in sections) && (item.type !== "loot") ) sections[item.type].items.push(item);
       else sections.loot.items.push(item);
     }
 
+    // Display merchant prices in place of usage details
+    if ( this.actor.system.isMerchant ) {
+      const columns = [{
+        label: game.i18n.localize("DND5E.Quantity"),
+        css: "item-qty",
+        property: "system.quantity",
+        editable: this.isEditable ? "Number" : false
+      }, {
+        label: game.i18n.localize("DND5E.Merchant.Price"),
+        css: "item-price",
+        property: "tradePrice"
+      }];
+      Object.values(sections).forEach(s => s.columns = columns);
+    }
+
     return sections;
   }
 
@@ -263,6 +322,22 @@ export default class GroupActorSheet extends ActorSheetMixin(ActorSheet) {
     return super.close(options);
   }
 
+  /* -------------------------------------------- */
+  /*  Drag & Drop                                 */
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  _canDragStart(selector) {
+    return super._canDragStart(selector) || this.actor.system.isMerchant;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  _canDragDrop(selector) {
+    return super._canDragDrop(selector) || this.actor.system.isMerchant;
+  }
+
   /* -------------------------------------------- */
   /*  Event Listeners and Handlers                */
   /* -------------------------------------------- */
@@ -312,6 +387,9 @@ export default class GroupActorSheet extends ActorSheetMixin(ActorSheet) {
       case "rollQuantities":
         this.actor.system.rollQuantities();
         break;
+      case "requestRoll":
+        this._onRequestRoll();
+        break;
       case "shortRest":
         this.actor.shortRest({ advanceTime: true });
         break;
@@ -320,6 +398,48 @@ export default class GroupActorSheet extends ActorSheetMixin(ActorSheet) {
 
   /* -------------------------------------------- */
 
+  /**
+   * Prompt for the roll to request from the group's members and post a group roll request to chat.
+   * @returns {Promise<ChatMessage5e|void>}
+   * @protected
+   */
+  async _onRequestRoll() {
+    const { abilities, skills, damageTypes } = CONFIG.DND5E;
+    const rolls = {
+      save: { label: game.i18n.localize("DND5E.ActionSave"), children: {} },
+      check: { label: game.i18n.localize("DND5E.ActionAbil"), children: {} },
+      skill: { label: game.i18n.localize("DND5E.Skills"), children: {} }
+    };
+    for ( const [key, { label }] of Object.entries(abilities) ) {
+      rolls.save.children[`save.${key}`] = { label };
+      rolls.check.children[`check.${key}`] = { label };
+    }
+    for ( const [key, { label }] of Object.entries(skills) ) rolls.skill.children[`skill.${key}`] = { label };
+
+    const result = await Dialog.prompt({
+      title: `${game.i18n.localize("DND5E.RollRequest.Title")}: ${this.actor.name}`,
+      label: game.i18n.localize("DND5E.RollRequest.Action"),
+      content: await renderTemplate("systems/dnd5e-2014/templates/apps/roll-request.hbs", { rolls, damageTypes }),
+      callback: dialog => (new FormDataExtended(dialog.querySelector("form"))).object,
+      rejectClose: false,
+      options: { jQuery: false }
+    });
+    if ( !result ) return;
+
+    const [type, key] = result.roll.split(".");
+    const config = { type, group: result.group };
+    if ( type === "skill" ) Object.assign(config, { skill: key, ability: skills[key]?.ability });
+    else config.ability = key;
+    if ( Number.isNumeric(result.dc) ) config.dc = result.dc;
+    if ( result["damage.formula"] ) config.damage = {
+      formula: result["damage.formula"], type: result["damage.type"], half: result["damage.half"]
+    };
+    const actors = this.actor.system.members.map(m => m.actor).filter(a => a && (a.type !== "vehicle"));
+    return getDocumentClass("ChatMessage").createGroupRequest(config, actors);
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Handle clicks on member names in the members list.
    * @param {PointerEvent} event      The initiating click event
@@ -347,9 +467,15 @@ export default class GroupActorSheet extends ActorSheetMixin(ActorSheet) {
 
   /** @override */
   async _onDropItem(event, data) {
-    if ( !this.actor.isOwner ) return false;
     const item = await Item.implementation.fromDropData(data);
 
+    // Buy items from customers when this group is a merchant
+    if ( this.actor.system.isMerchant && item?.isEmbedded && (item.parent !== this.actor) ) {
+      return this.actor.system.buyFrom(item);
+    }
+
+    if ( !this.actor.isOwner ) return false;
+
     // Handle moving out of container & item sorting
     if ( this.actor.uuid === item.parent?.uuid ) {
       if ( item.system.container !== null ) await item.update({"system.container": null});
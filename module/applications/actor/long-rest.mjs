@@ -30,6 +30,8 @@ export default class LongRestDialog extends Dialog {
     context.isGroup = this.actor.type === "group";
     context.promptNewDay = variant !== "gritty";     // It's always a new day when resting 1 week
     context.newDay = variant === "normal";           // It's probably a new day when resting normally (8 hours)
+    context.canPrepareSpells = Object.values(this.actor.spellcastingClasses ?? {})
+      .some(cls => cls.system.spellcasting.preparation?.formula);
     return context;
   }
 
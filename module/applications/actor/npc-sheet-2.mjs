@@ -103,14 +103,18 @@ export default class ActorSheet5eNPC2 extends ActorSheetV2Mixin(ActorSheet5eNPC)
     context.showDeathSaves = !foundry.utils.isEmpty(this.actor.classes)
       || this.actor.getFlag("dnd5e-2014", "showDeathSaves");
 
-    // Speed
+    // Speed, using the mount's movement while mounted
+    const movement = context.mount?.system.attributes.movement ?? attributes.movement;
     context.speed = Object.entries(CONFIG.DND5E.movementTypes).reduce((obj, [k, label]) => {
-      const value = attributes.movement[k];
+      const value = movement[k];
       if ( value ) {
-        obj[k] = { label, value };
-        if ( (k === "fly") && attributes.movement.hover ) obj.fly.icons = [{
+        obj[k] = { label, value, icons: [] };
+        if ( (k === "fly") && movement.hover ) obj.fly.icons.push({
           icon: "fas fa-cloud", label: game.i18n.localize("DND5E.MovementHover")
-        }];
+        });
+        if ( context.mount ) obj[k].icons.push({
+          icon: "fas fa-horse", label: game.i18n.format("DND5E.Mount.Riding", { mount: context.mount.name })
+        });
       }
       return obj;
     }, {});
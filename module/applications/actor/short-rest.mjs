@@ -60,6 +60,12 @@ export default class ShortRestDialog extends Dialog {
     const variant = game.settings.get("dnd5e-2014", "restVariant");
     context.promptNewDay = variant !== "epic";     // It's never a new day when only resting 1 minute
     context.newDay = false;                        // It may be a new day, but not by default
+
+    // Items that can be identified by focusing on them during the rest
+    context.identifiable = Object.fromEntries(this.actor.items
+      .filter(i => i.system.identified === false)
+      .map(i => [i.id, i.name]));
+    context.canIdentify = !context.isGroup && !foundry.utils.isEmpty(context.identifiable);
     return context;
   }
 
@@ -0,0 +1,143 @@
+import DialogMixin from "../dialog-mixin.mjs";
+
+/**
+ * Application for choosing which spells are prepared by each of an actor's classes, respecting the number of spells
+ * each class is able to prepare.
+ *
+ * @param {Actor5e} actor                 Actor preparing spells.
+ * @param {object} [options={}]           Application rendering options.
+ * @param {string} [options.identifier]   Identifier of a single class whose spells should be shown.
+ */
+export default class SpellPreparationConfig extends DialogMixin(DocumentSheet) {
+
+  /** @override */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      classes: ["dnd5e2", "spell-preparation", "dialog"],
+      template: "systems/dnd5e-2014/templates/apps/spell-preparation-config.hbs",
+      width: 400,
+      height: "auto",
+      sheetConfig: false,
+      submitOnClose: false,
+      submitOnChange: false,
+      closeOnSubmit: false,
+      identifier: null
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  get title() {
+    return `${game.i18n.localize("DND5E.SpellPreparation.Title")}: ${this.document.name}`;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  get id() {
+    return `actor-${this.document.id}-spell-preparation`;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Classes on the actor whose prepared spells are limited.
+   * @type {Item5e[]}
+   */
+  get classes() {
+    return Object.values(this.document.spellcastingClasses).filter(cls => {
+      if ( this.options.identifier && (cls.identifier !== this.options.identifier) ) return false;
+      return !!cls.system.spellcasting.preparation?.formula;
+    });
+  }
+
+  /* -------------------------------------------- */
+  /*  Rendering                                   */
+  /* -------------------------------------------- */
+
+  /** @override */
+  getData(options={}) {
+    const classes = this.classes.map(cls => {
+      const spells = cls.system.spells
+        .filter(s => (s.system.level > 0) && CONFIG.DND5E.spellPreparationModes[s.system.preparation.mode]?.prepares)
+        .sort((lhs, rhs) => (lhs.system.level - rhs.system.level) || lhs.name.localeCompare(rhs.name));
+      return {
+        identifier: cls.identifier,
+        name: cls.name,
+        max: cls.system.spellcasting.preparation.max,
+        value: cls.system.spellcasting.preparation.value,
+        spells: spells.map(spell => {
+          const always = spell.system.preparation.mode === "always";
+          return {
+            id: spell.id,
+            name: spell.name,
+            img: spell.img,
+            level: CONFIG.DND5E.spellLevels[spell.system.level],
+            always,
+            prepared: always || spell.system.preparation.prepared
+          };
+        })
+      };
+    });
+    return { classes };
+  }
+
+  /* -------------------------------------------- */
+  /*  Event Handling                              */
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  activateListeners(html) {
+    super.activateListeners(html);
+    this._updateCounts();
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  _onChangeInput(event) {
+    super._onChangeInput(event);
+    this._updateCounts();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Update the displayed number of prepared spells for each class.
+   * @protected
+   */
+  _updateCounts() {
+    for ( const section of this.form.querySelectorAll("[data-class]") ) {
+      const count = section.querySelectorAll("input[data-spell-id]:checked:not(:disabled)").length;
+      const max = Number(section.dataset.max);
+      const value = section.querySelector(".prepared .value");
+      value.textContent = count;
+      section.classList.toggle("over-limit", count > max);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async _updateObject(event, formData) {
+    const updates = [];
+    for ( const cls of this.classes ) {
+      const { max } = cls.system.spellcasting.preparation;
+      const spells = cls.system.spells.filter(s => `prepared.${s.id}` in formData);
+      const count = spells.filter(s => formData[`prepared.${s.id}`]).length;
+      if ( count > max ) {
+        ui.notifications.warn(game.i18n.format("DND5E.SpellPreparation.Warning.TooMany", { class: cls.name, max }));
+        return;
+      }
+      for ( const spell of spells ) {
+        const prepared = formData[`prepared.${spell.id}`];
+        if ( prepared !== spell.system.preparation.prepared ) {
+          updates.push({ _id: spell.id, "system.preparation.prepared": prepared });
+        }
+      }
+    }
+    if ( updates.length ) await this.document.updateEmbeddedDocuments("Item", updates);
+    this.close();
+  }
+}
@@ -67,8 +67,39 @@ export default class ActorSheet5eVehicle extends ActorSheet5e {
 
   /* -------------------------------------------- */
 
+  /** @inheritDoc */
+  async getData(options={}) {
+    const context = await super.getData(options);
+    context.crewLabel = game.i18n.format("DND5E.VehicleTurn.Crew", { crew: this.actor.system.attributes.actions.crew });
+    return context;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Prepare crew & passenger entries for display, including any linked actors.
+   * @param {PassengerData[]} entries  Entries to prepare.
+   * @returns {object[]}
+   * @protected
+   */
+  _prepareCargoEntries(entries) {
+    return entries.map(({ actor, name, quantity, station }) => ({
+      name: name || actor?.name || "", quantity, station,
+      linked: actor ? { name: actor.name, img: actor.img, uuid: actor.uuid } : null
+    }));
+  }
+
+  /* -------------------------------------------- */
+
   /** @override */
   _prepareItems(context) {
+    const stations = context.items.reduce((obj, item) => {
+      const isStation = ["equipment", "weapon"].includes(item.type)
+        || ((item.type === "feat") && (item.system.activation.type === "crew"));
+      if ( isStation && !item.flags["dnd5e-2014"]?.vehicleCargo ) obj[item.id] = item.name;
+      return obj;
+    }, {});
+
     const cargoColumns = [{
       label: game.i18n.localize("DND5E.Quantity"),
       css: "item-qty",
@@ -147,15 +178,20 @@ export default class ActorSheet5eVehicle extends ActorSheet5e {
     const cargo = {
       crew: {
         label: game.i18n.localize("DND5E.VehicleCrew"),
-        items: context.actor.system.cargo.crew,
+        items: this._prepareCargoEntries(context.actor.system.cargo.crew),
         css: "cargo-row crew",
         editableName: true,
         dataset: {type: "crew"},
-        columns: cargoColumns
+        columns: [{
+          label: game.i18n.localize("DND5E.VehicleStation"),
+          css: "item-station",
+          property: "station",
+          choices: stations
+        }, ...cargoColumns]
       },
       passengers: {
         label: game.i18n.localize("DND5E.VehiclePassengers"),
-        items: context.actor.system.cargo.passengers,
+        items: this._prepareCargoEntries(context.actor.system.cargo.passengers),
         css: "cargo-row passengers",
         editableName: true,
         dataset: {type: "passengers"},
@@ -237,9 +273,12 @@ export default class ActorSheet5eVehicle extends ActorSheet5e {
     html.find(".cargo-row input")
       .click(evt => evt.target.select())
       .change(this._onCargoRowChange.bind(this));
+    html.find(".cargo-row select").change(this._onCargoRowChange.bind(this));
+    html.find(".cargo-row .linked-actor").click(this._onClickLinkedActor.bind(this));
+    html.find(".vehicle-turn").click(() => this.actor.system.createTurnMessage());
 
     if (this.actor.system.attributes.actions.stations) {
-      html.find(".counter.actions, .counter.action-thresholds").hide();
+      html.find(".counter.actions, .counter.action-thresholds, .counter.actions-available").hide();
     }
   }
 
@@ -259,7 +298,7 @@ export default class ActorSheet5eVehicle extends ActorSheet5e {
     const property = row.classList.contains("crew") ? "crew" : "passengers";
 
     // Get the cargo entry
-    const cargo = foundry.utils.deepClone(this.actor.system.cargo[property]);
+    const cargo = foundry.utils.deepClone(this.actor.system._source.cargo[property]);
     const entry = cargo[idx];
     if ( !entry ) return null;
 
@@ -286,7 +325,7 @@ export default class ActorSheet5eVehicle extends ActorSheet5e {
       const type = event.target.dataset.type;
       if ( !["crew", "passengers"].includes(type) ) return;
       event.preventDefault();
-      const cargoCollection = foundry.utils.deepClone(this.actor.system.cargo[type]);
+      const cargoCollection = foundry.utils.deepClone(this.actor.system._source.cargo[type]);
       cargoCollection.push(this.constructor.newCargo);
       return this.actor.update({[`system.cargo.${type}`]: cargoCollection});
     }
@@ -297,13 +336,45 @@ export default class ActorSheet5eVehicle extends ActorSheet5e {
       event.preventDefault();
       const idx = Number(row.dataset.itemIndex);
       const type = row.classList.contains("crew") ? "crew" : "passengers";
-      const cargoCollection = foundry.utils.deepClone(this.actor.system.cargo[type]).filter((_, i) => i !== idx);
+      const cargoCollection = foundry.utils.deepClone(this.actor.system._source.cargo[type])
+        .filter((_, i) => i !== idx);
       return this.actor.update({[`system.cargo.${type}`]: cargoCollection});
     }
   }
 
   /* -------------------------------------------- */
 
+  /**
+   * Open the sheet of an actor linked to a crew or passenger entry.
+   * @param {PointerEvent} event  Triggering click event.
+   * @returns {Promise<ActorSheet>|void}
+   * @protected
+   */
+  async _onClickLinkedActor(event) {
+    event.preventDefault();
+    const actor = await fromUuid(event.currentTarget.dataset.uuid);
+    return actor?.sheet.render(true, { focus: true });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Add dropped world actors to the vehicle's crew, or its passengers if dropped on the passenger list.
+   * @override
+   */
+  async _onDropActor(event, data) {
+    if ( !this.isEditable ) return false;
+    const actor = await Actor.implementation.fromDropData(data);
+    if ( !actor || actor.pack || ["group", "vehicle"].includes(actor.type) ) return false;
+    const type = event.target.closest(".item-list")?.querySelector(".cargo-row.passengers") ? "passengers" : "crew";
+    const cargoCollection = foundry.utils.deepClone(this.actor.system._source.cargo[type]);
+    if ( cargoCollection.some(c => c.actor === actor.id) ) return false;
+    cargoCollection.push({ ...this.constructor.newCargo, actor: actor.id });
+    return this.actor.update({[`system.cargo.${type}`]: cargoCollection});
+  }
+
+  /* -------------------------------------------- */
+
   /** @override */
   async _onDropSingleItem(itemData) {
     const cargoTypes = ["weapon", "equipment", "consumable", "tool", "loot", "container"];
@@ -4,9 +4,12 @@ export {default as AdvancementFlow} from "./advancement-flow.mjs";
 export {default as AdvancementManager} from "./advancement-manager.mjs";
 export {default as AdvancementMigrationDialog} from "./advancement-migration-dialog.mjs";
 export {default as AdvancementSelection} from "./advancement-selection.mjs";
+export {default as CharacterCreator} from "./character-creator.mjs";
 
+export {default as AbilityGenerationFlow} from "./ability-generation-flow.mjs";
 export {default as AbilityScoreImprovementConfig} from "./ability-score-improvement-config.mjs";
 export {default as AbilityScoreImprovementFlow} from "./ability-score-improvement-flow.mjs";
+export {default as CreationItemFlow} from "./creation-item-flow.mjs";
 export {default as HitPointsConfig} from "./hit-points-config.mjs";
 export {default as HitPointsFlow} from "./hit-points-flow.mjs";
 export {default as ItemChoiceConfig} from "./item-choice-config.mjs";
@@ -17,5 +20,7 @@ export {default as ScaleValueConfig} from "./scale-value-config.mjs";
 export {default as ScaleValueFlow} from "./scale-value-flow.mjs";
 export {default as SizeConfig} from "./size-config.mjs";
 export {default as SizeFlow} from "./size-flow.mjs";
+export {default as SpellSwapFlow} from "./spell-swap-flow.mjs";
+export {default as StartingEquipmentFlow} from "./starting-equipment-flow.mjs";
 export {default as TraitConfig} from "./trait-config.mjs";
 export {default as TraitFlow} from "./trait-flow.mjs";
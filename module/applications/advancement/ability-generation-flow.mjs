@@ -0,0 +1,290 @@
+import Advancement from "../../documents/advancement/advancement.mjs";
+import AdvancementFlow from "./advancement-flow.mjs";
+
+/**
+ * Inline application used by the character creator to name the character and generate its ability scores using
+ * the standard array, point buy, or rolling. Not backed by an advancement.
+ *
+ * @param {object} [options={}]  Application rendering options.
+ */
+export default class AbilityGenerationFlow extends AdvancementFlow {
+  constructor(options={}) {
+    super(null, null, 0, options);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Name of the character being created.
+   * @type {string}
+   */
+  name = "";
+
+  /**
+   * Method used to generate scores, either "standard", "pointBuy", or "roll".
+   * @type {string}
+   */
+  method = "standard";
+
+  /**
+   * Values assigned to each ability. For the standard array and rolling this is the index of the assigned value
+   * within the pool, for point buy it is the purchased score.
+   * @type {Record<string, number>}
+   */
+  assignments = {};
+
+  /**
+   * Results of rolling ability scores.
+   * @type {number[]}
+   */
+  rolls = [];
+
+  /**
+   * Actor name and ability scores before this flow was applied.
+   * @type {object|null}
+   */
+  previous = null;
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      template: "systems/dnd5e-2014/templates/advancement/ability-generation-flow.hbs"
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  get id() {
+    return "character-creator-abilities";
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  get title() {
+    return game.i18n.localize("DND5E.CharacterCreator.Abilities.Title");
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Abilities that will be generated.
+   * @type {string[]}
+   */
+  get abilities() {
+    return Object.keys(this.options.manager?.clone.system.abilities ?? CONFIG.DND5E.abilities);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Values that can be assigned when using the standard array or rolling.
+   * @type {number[]}
+   */
+  get pool() {
+    if ( this.method === "standard" ) return CONFIG.DND5E.abilityGeneration.standardArray;
+    if ( this.method === "roll" ) return this.rolls;
+    return [];
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Lowest and highest scores that can be purchased using point buy.
+   * @type {{ min: number, max: number }}
+   */
+  get pointBuyRange() {
+    const scores = Object.keys(CONFIG.DND5E.abilityGeneration.pointBuy.costs).map(Number);
+    return { min: Math.min(...scores), max: Math.max(...scores) };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Points spent on the current point buy assignments.
+   * @type {number}
+   */
+  get pointsSpent() {
+    const { costs } = CONFIG.DND5E.abilityGeneration.pointBuy;
+    const { min } = this.pointBuyRange;
+    return this.abilities.reduce((total, key) => total + (costs[this.assignments[key] ?? min] ?? Infinity), 0);
+  }
+
+  /* -------------------------------------------- */
+  /*  Rendering                                   */
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  getData() {
+    const { budget, costs } = CONFIG.DND5E.abilityGeneration.pointBuy;
+    const { min, max } = this.pointBuyRange;
+    const pool = this.pool;
+    const used = new Set(Object.values(this.assignments));
+    const isPointBuy = this.method === "pointBuy";
+    return {
+      appId: this.id,
+      type: "AbilityGeneration",
+      title: this.title,
+      name: this.name,
+      method: this.method,
+      methods: {
+        standard: game.i18n.localize("DND5E.CharacterCreator.Abilities.Method.Standard"),
+        pointBuy: game.i18n.localize("DND5E.CharacterCreator.Abilities.Method.PointBuy"),
+        roll: game.i18n.localize("DND5E.CharacterCreator.Abilities.Method.Roll")
+      },
+      isPointBuy,
+      canRoll: (this.method === "roll") && !this.rolls.length,
+      pointBuy: isPointBuy ? {
+        min, max,
+        remaining: game.i18n.format("DND5E.CharacterCreator.Abilities.PointsRemaining", {
+          points: budget - this.pointsSpent
+        })
+      } : null,
+      abilities: this.abilities.map(key => {
+        const value = this.assignments[key];
+        return {
+          key,
+          label: CONFIG.DND5E.abilities[key]?.label ?? key,
+          value: isPointBuy ? value ?? min : value,
+          cost: isPointBuy ? costs[value ?? min] : null,
+          options: pool.map((score, index) => ({
+            index, score, selected: value === index, disabled: (value !== index) && used.has(index)
+          }))
+        };
+      })
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find('[data-action="roll"]').click(this._onRollScores.bind(this));
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  _onChangeInput(event) {
+    super._onChangeInput(event);
+    const input = event.currentTarget;
+    if ( input.name === "name" ) {
+      this.name = input.value;
+      return;
+    }
+    if ( input.name === "method" ) {
+      this.method = input.value;
+      this.assignments = {};
+    }
+    else if ( input.name.startsWith("abilities.") ) {
+      const key = input.name.split(".")[1];
+      const value = parseInt(input.value);
+      if ( Number.isNaN(value) ) delete this.assignments[key];
+      else if ( this.method === "pointBuy" ) {
+        const { min, max } = this.pointBuyRange;
+        this.assignments[key] = Math.clamp(value, min, max);
+      }
+      else this.assignments[key] = value;
+    }
+    this.render();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Roll a score for each ability and record the results in chat.
+   * @param {Event} event  Triggering click event.
+   * @returns {Promise}
+   * @protected
+   */
+  async _onRollScores(event) {
+    event.preventDefault();
+    const formula = CONFIG.DND5E.abilityGeneration.roll;
+    const rolls = [];
+    for ( let i = 0; i < this.abilities.length; i++ ) rolls.push(await new Roll(formula).evaluate());
+    this.rolls = rolls.map(r => r.total);
+    this.assignments = {};
+    const messageData = {
+      flavor: game.i18n.format("DND5E.CharacterCreator.Abilities.RollFlavor", {
+        name: this.name || game.i18n.localize("DND5E.CharacterCreator.Title"), formula
+      }),
+      speaker: ChatMessage.getSpeaker({ user: game.user }),
+      rolls,
+      sound: CONFIG.sounds.dice
+    };
+    if ( game.release.generation < 12 ) messageData.type = CONST.CHAT_MESSAGE_TYPES.ROLL;
+    await ChatMessage.implementation.create(messageData);
+    this.render();
+  }
+
+  /* -------------------------------------------- */
+  /*  Application                                 */
+  /* -------------------------------------------- */
+
+  /**
+   * Determine the final ability scores, validating the current assignments.
+   * @returns {Record<string, number>}
+   * @throws {Advancement.ERROR}  If the assignments are incomplete or invalid.
+   */
+  getScores() {
+    const scores = {};
+    if ( this.method === "pointBuy" ) {
+      const { min } = this.pointBuyRange;
+      if ( this.pointsSpent > CONFIG.DND5E.abilityGeneration.pointBuy.budget ) {
+        throw new Advancement.ERROR(game.i18n.localize("DND5E.CharacterCreator.Warning.PointBuy"));
+      }
+      for ( const key of this.abilities ) scores[key] = this.assignments[key] ?? min;
+      return scores;
+    }
+
+    const pool = this.pool;
+    if ( !pool.length ) throw new Advancement.ERROR(game.i18n.localize("DND5E.CharacterCreator.Warning.NotRolled"));
+    const required = Math.min(this.abilities.length, pool.length);
+    for ( const key of this.abilities ) {
+      const score = pool[this.assignments[key]];
+      if ( score !== undefined ) scores[key] = score;
+    }
+    if ( Object.keys(scores).length < required ) {
+      throw new Advancement.ERROR(game.i18n.localize("DND5E.CharacterCreator.Warning.Unassigned"));
+    }
+    return scores;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  async _updateObject(event, formData) {
+    const actor = this.options.manager.clone;
+    this.name = formData.name?.trim() ?? this.name;
+    if ( !this.name ) throw new Advancement.ERROR(game.i18n.localize("DND5E.CharacterCreator.Warning.NoName"));
+    const scores = this.getScores();
+    this.previous = {
+      name: actor._source.name,
+      abilities: Object.fromEntries(Object.keys(scores).map(k => [k, actor._source.system.abilities[k]?.value]))
+    };
+    actor.updateSource({
+      name: this.name,
+      ...Object.fromEntries(Object.entries(scores).map(([k, v]) => [`system.abilities.${k}.value`, v]))
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Restore the actor's name and ability scores from before this flow was applied.
+   * @returns {null}
+   */
+  reverse() {
+    if ( !this.previous ) return null;
+    this.options.manager.clone.updateSource({
+      name: this.previous.name,
+      ...Object.fromEntries(Object.entries(this.previous.abilities).map(([k, v]) => [`system.abilities.${k}.value`, v]))
+    });
+    this.previous = null;
+    return null;
+  }
+}
@@ -1,11 +1,15 @@
 import Advancement from "../../documents/advancement/advancement.mjs";
+import SpellSwapFlow from "./spell-swap-flow.mjs";
+import StartingEquipmentFlow from "./starting-equipment-flow.mjs";
 
 /**
  * Internal type used to manage each step within the advancement process.
  *
  * @typedef {object} AdvancementStep
- * @property {string} type                Step type from "forward", "reverse", "restore", or "delete".
- * @property {AdvancementFlow} [flow]     Flow object for the advancement being applied by this step.
+ * @property {string} type                Step type from "forward", "reverse", "restore", "delete", "equipment", or
+ *                                       "spellSwap".
+ * @property {AdvancementFlow} [flow]     Flow object for the advancement being applied by this step. Flows that are
+ *                                        not backed by an advancement must implement their own `reverse` method.
  * @property {Item5e} [item]              For "delete" steps only, the item to be removed.
  * @property {object} [class]             Contains data on class if step was triggered by class level change.
  * @property {Item5e} [class.item]        Class item that caused this advancement step.
@@ -180,33 +184,7 @@ export default class AdvancementManager extends Application {
    */
   static forNewItem(actor, itemData, options={}) {
     const manager = new this(actor, options);
-
-    // Prepare data for adding to clone
-    const dataClone = foundry.utils.deepClone(itemData);
-    dataClone._id = foundry.utils.randomID();
-    if ( itemData.type === "class" ) {
-      dataClone.system.levels = 0;
-      if ( !manager.clone.system.details.originalClass ) {
-        manager.clone.updateSource({"system.details.originalClass": dataClone._id});
-      }
-    }
-
-    // Add item to clone & get new instance from clone
-    manager.clone.updateSource({items: [dataClone]});
-    const clonedItem = manager.clone.items.get(dataClone._id);
-
-    // For class items, prepare level change data
-    if ( itemData.type === "class" ) {
-      return manager.createLevelChangeSteps(clonedItem, itemData.system?.levels ?? 1);
-    }
-
-    // All other items, just create some flows up to current character level (or class level for subclasses)
-    let targetLevel = manager.clone.system.details.level ?? 0;
-    if ( clonedItem.type === "subclass" ) targetLevel = clonedItem.class?.system.levels ?? 0;
-    Array.fromRange(targetLevel + 1)
-      .flatMap(l => this.flowsForLevel(clonedItem, l))
-      .forEach(flow => manager.steps.push({ type: "forward", flow }));
-
+    manager.createNewItemSteps(itemData);
     return manager;
   }
 
@@ -348,6 +326,11 @@ export default class AdvancementManager extends Application {
       pushSteps(getItemFlows(characterLevel), stepData);
     }
 
+    // Allow classes that know a limited number of spells to replace one of them
+    if ( (levelDelta > 0) && SpellSwapFlow.appliesTo(classItem) ) {
+      this.steps.push({ type: "spellSwap", flow: new SpellSwapFlow(classItem) });
+    }
+
     // Level decreased
     for ( let offset = 0; offset > levelDelta; offset-- ) {
       const classLevel = classItem.system.levels + offset;
@@ -371,6 +354,114 @@ export default class AdvancementManager extends Application {
 
   /* -------------------------------------------- */
 
+  /**
+   * Add an item to the cloned actor and create the steps needed to advance it.
+   * @param {object} itemData  Data for the item being added.
+   * @returns {Item5e}         The item added to the clone.
+   */
+  createNewItemSteps(itemData) {
+    // Prepare data for adding to clone
+    const dataClone = foundry.utils.deepClone(itemData);
+    dataClone._id = foundry.utils.randomID();
+    if ( itemData.type === "class" ) {
+      dataClone.system.levels = 0;
+      if ( !this.clone.system.details.originalClass ) {
+        this.clone.updateSource({"system.details.originalClass": dataClone._id});
+      }
+      else this._prepareMulticlassProficiencies(dataClone);
+    }
+
+    // Add item to clone & get new instance from clone
+    this.clone.updateSource({items: [dataClone]});
+    const clonedItem = this.clone.items.get(dataClone._id);
+
+    // For class items, prepare level change data
+    if ( itemData.type === "class" ) this.createLevelChangeSteps(clonedItem, itemData.system?.levels ?? 1);
+
+    // All other items, just create some flows up to current character level (or class level for subclasses)
+    else {
+      let targetLevel = this.clone.system.details.level ?? 0;
+      if ( clonedItem.type === "subclass" ) targetLevel = clonedItem.class?.system.levels ?? 0;
+      Array.fromRange(targetLevel + 1)
+        .flatMap(l => this.constructor.flowsForLevel(clonedItem, l))
+        .forEach(flow => this.steps.push({ type: "forward", flow }));
+    }
+
+    // Offer starting equipment for a character's first class or background
+    if ( StartingEquipmentFlow.appliesTo(clonedItem, this.actor) ) {
+      this.steps.push({ type: "equipment", flow: new StartingEquipmentFlow(clonedItem) });
+    }
+
+    return clonedItem;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Replace the first level proficiencies of a class being added as a multiclass with the reduced set of
+   * proficiencies it defines. Existing unrestricted trait advancements at first level are restricted to the
+   * original class and a new trait advancement restricted to secondary classes is added.
+   * @param {object} itemData  Data for the class being added. **Will be mutated.**
+   * @protected
+   */
+  _prepareMulticlassProficiencies(itemData) {
+    const { grants=[], skills=0 } = itemData.system.multiclass?.proficiencies ?? {};
+    if ( !grants.length && !skills ) return;
+    const traits = itemData.system.advancement.filter(a => {
+      return (a.type === "Trait") && (a.level === 1) && !a.classRestriction;
+    });
+    const skillPool = traits.flatMap(a => a.configuration?.choices ?? [])
+      .flatMap(c => Array.from(c.pool ?? []))
+      .filter(k => k.startsWith("skills:"));
+    traits.forEach(a => a.classRestriction = "primary");
+    const TraitAdvancement = CONFIG.DND5E.advancementTypes.Trait.documentClass;
+    itemData.system.advancement.push(new TraitAdvancement({
+      level: 1,
+      classRestriction: "secondary",
+      title: game.i18n.localize("DND5E.Multiclass.Proficiencies.Title"),
+      configuration: {
+        grants: Array.from(grants),
+        choices: skills ? [{ count: skills, pool: skillPool.length ? skillPool : ["skills:*"] }] : []
+      }
+    }).toObject());
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Check whether an actor meets the multiclassing prerequisites for adding a new class, displaying a warning or
+   * error based on the "multiclassPrerequisites" setting. The actor must meet the prerequisites of both the new class
+   * and each class it already has.
+   * @param {Actor5e} actor           Actor to which the class is being added.
+   * @param {Item5e|object} itemData  The class being added.
+   * @returns {boolean}               Whether the class may be added.
+   */
+  static checkMulticlassPrerequisites(actor, itemData) {
+    const setting = game.settings.get("dnd5e-2014", "multiclassPrerequisites");
+    const existing = actor.itemTypes.class ?? [];
+    if ( (setting === "none") || (itemData.type !== "class") || !existing.length ) return true;
+    const item = itemData instanceof Item ? itemData : new Item.implementation(itemData);
+    if ( existing.some(c => c.identifier === item.identifier) ) return true;
+
+    let valid = true;
+    for ( const cls of [...existing, item] ) {
+      const unmet = cls.system.getUnmetPrerequisites?.(actor) ?? [];
+      if ( !unmet.length ) continue;
+      valid = false;
+      const type = cls.system.multiclass.prerequisites.mode === "any" ? "disjunction" : "conjunction";
+      ui.notifications.warn(game.i18n.format("DND5E.Multiclass.Warning.Prerequisites", {
+        actor: actor.name, class: cls.name, requirements: game.i18n.getListFormatter({ type }).format(unmet)
+      }));
+    }
+    if ( valid || (setting !== "enforce") ) return true;
+    ui.notifications.error(game.i18n.format("DND5E.Multiclass.Warning.Prevented", {
+      actor: actor.name, class: item.name
+    }));
+    return false;
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Creates advancement flows for all advancements at a specific level.
    * @param {Item5e} item          Item that has advancement.
@@ -407,7 +498,7 @@ export default class AdvancementManager extends Application {
     // Prepare information for subheading
     const item = this.step.flow.item;
     let level = this.step.flow.level;
-    if ( (this.step.class) && ["class", "subclass"].includes(item.type) ) level = this.step.class.level;
+    if ( (this.step.class) && ["class", "subclass"].includes(item?.type) ) level = this.step.class.level;
 
     const visibleSteps = this.steps.filter(s => !s.automatic);
     const visibleIndex = visibleSteps.indexOf(this.step);
@@ -415,7 +506,7 @@ export default class AdvancementManager extends Application {
     return {
       actor: this.clone,
       flowId: this.step.flow.id,
-      header: item.name,
+      header: item?.name ?? this.step.flow.title,
       subheader: level ? game.i18n.format("DND5E.AdvancementLevelHeader", { level }) : "",
       steps: {
         current: visibleIndex + 1,
@@ -601,6 +692,7 @@ export default class AdvancementManager extends Application {
           this.advancement.typeName, this.advancement._source, { source: true }
         );
         else if ( type === "reverse" ) await flow.advancement.restore(flow.level, flow.retainedData);
+        else if ( flow && !flow.advancement ) await flow.retainData(await flow.reverse());
         else if ( flow ) await flow.retainData(await flow.advancement.reverse(flow.level));
         this.clone.reset();
       } while ( this.step?.automatic );
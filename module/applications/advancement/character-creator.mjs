@@ -0,0 +1,115 @@
+import AbilityGenerationFlow from "./ability-generation-flow.mjs";
+import AdvancementManager from "./advancement-manager.mjs";
+import CreationItemFlow from "./creation-item-flow.mjs";
+
+/**
+ * Guided workflow for creating a new character. The character is named and its ability scores are generated, then
+ * its race, background, and class are chosen with each item's advancements being applied as it is added. The
+ * character is only created once every step has been completed.
+ *
+ * @param {Actor5e} actor        Temporary actor being built.
+ * @param {object} [options={}]  Additional application options.
+ */
+export default class CharacterCreator extends AdvancementManager {
+
+  /** @inheritdoc */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      classes: ["dnd5e", "advancement", "flow", "character-creator"]
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  get title() {
+    return super.title.replace(
+      game.i18n.localize("DND5E.AdvancementManagerTitle"), game.i18n.localize("DND5E.CharacterCreator.Title")
+    );
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  get id() {
+    return "character-creator";
+  }
+
+  /* -------------------------------------------- */
+  /*  Factory Methods                             */
+  /* -------------------------------------------- */
+
+  /**
+   * Construct a character creator for a new, unsaved character.
+   * @param {object} [options={}]  Rendering options passed to the application.
+   * @returns {CharacterCreator}
+   */
+  static create(options={}) {
+    const actor = new Actor.implementation({
+      name: game.i18n.localize("DND5E.CharacterCreator.DefaultName"), type: "character"
+    });
+    const creator = new this(actor, options);
+    creator.steps.push(
+      { type: "forward", flow: new AbilityGenerationFlow() },
+      ...["race", "background", "class"].map(type => ({ type: "forward", flow: new CreationItemFlow(type) }))
+    );
+    return creator;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Add a button to open the character creator to the actors directory.
+   * @param {HTMLElement} html  The actors directory.
+   */
+  static injectSidebarButton(html) {
+    if ( !game.user.can("ACTOR_CREATE") ) return;
+    const button = document.createElement("button");
+    button.type = "button";
+    button.classList.add("open-character-creator");
+    button.innerHTML = `
+      <i class="fa-solid fa-user-plus" inert></i>
+      ${game.i18n.localize("DND5E.CharacterCreator.Action.Open")}
+    `;
+    button.addEventListener("click", event => this.create().render(true));
+
+    const headerActions = html.querySelector(".header-actions");
+    headerActions?.append(button);
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  async close(options={}) {
+    if ( options.skipConfirmation || !this.previousStep ) return super.close({ ...options, skipConfirmation: true });
+    return super.close(options);
+  }
+
+  /* -------------------------------------------- */
+  /*  Process                                     */
+  /* -------------------------------------------- */
+
+  /**
+   * Create the new character once all choices have been made.
+   * @param {Event} event  Button click that triggered the change.
+   * @returns {Promise}
+   * @private
+   */
+  async _complete(event) {
+    const data = this.clone.toObject();
+    const items = data.items;
+
+    // Allow the same hooks used by the advancement manager to modify or prevent the new character
+    if ( Hooks.call("dnd5e.preAdvancementManagerComplete", this, data, items, [], []) === false ) {
+      console.log("CharacterCreator completion was prevented by the 'preAdvancementManagerComplete' hook.");
+      return this.close({ skipConfirmation: true });
+    }
+
+    this.actor = await Actor.implementation.create(data, { keepEmbeddedIds: true, isAdvancement: true });
+    this.actor?.sheet.render(true);
+
+    Hooks.callAll("dnd5e.advancementManagerComplete", this);
+
+    return this.close({ skipConfirmation: true });
+  }
+}
@@ -0,0 +1,166 @@
+import Advancement from "../../documents/advancement/advancement.mjs";
+import AdvancementFlow from "./advancement-flow.mjs";
+
+/**
+ * Inline application used by the character creator to choose the character's race, background, or class. Once
+ * chosen the item is added to the character along with the steps needed to apply its advancements.
+ *
+ * @param {string} type          Type of item being chosen, either "race", "background", or "class".
+ * @param {object} [options={}]  Application rendering options.
+ */
+export default class CreationItemFlow extends AdvancementFlow {
+  constructor(type, options={}) {
+    super(null, null, 0, options);
+    this.type = type;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Type of item being chosen.
+   * @type {string}
+   */
+  type;
+
+  /**
+   * UUID of the chosen item.
+   * @type {string}
+   */
+  uuid = "";
+
+  /**
+   * Item added to the character and the number of steps it added to the manager when this flow was applied.
+   * @type {{ item: string, steps: number }|null}
+   */
+  applied = null;
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      template: "systems/dnd5e-2014/templates/advancement/creation-item-flow.hbs"
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  get id() {
+    return `character-creator-${this.type}`;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  get title() {
+    return game.i18n.localize(CONFIG.Item.typeLabels[this.type]);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Is choosing an item required to continue?
+   * @type {boolean}
+   */
+  get required() {
+    return this.type === "class";
+  }
+
+  /* -------------------------------------------- */
+  /*  Rendering                                   */
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  async getData() {
+    return {
+      appId: this.id,
+      type: "CreationItem",
+      title: this.title,
+      required: this.required,
+      uuid: this.uuid,
+      groups: await this.constructor.getChoices(this.type)
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Gather the items of the provided type from the world and from item compendiums.
+   * @param {string} type  Item type to find.
+   * @returns {Promise<{ label: string, items: { uuid: string, name: string }[] }[]>}  Items grouped by source.
+   */
+  static async getChoices(type) {
+    const sort = (lhs, rhs) => lhs.name.localeCompare(rhs.name);
+    const groups = [];
+    const worldItems = game.items.filter(i => (i.type === type) && i.testUserPermission(game.user, "OBSERVER"));
+    if ( worldItems.length ) groups.push({
+      label: game.i18n.localize("DND5E.CharacterCreator.WorldItems"),
+      items: worldItems.map(i => ({ uuid: i.uuid, name: i.name })).sort(sort)
+    });
+    for ( const pack of game.packs ) {
+      if ( (pack.documentName !== "Item") || !pack.visible ) continue;
+      const index = await pack.getIndex();
+      const items = index.filter(i => i.type === type).map(i => ({ uuid: i.uuid, name: i.name })).sort(sort);
+      if ( items.length ) groups.push({ label: pack.metadata.label, items });
+    }
+    return groups;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  _onChangeInput(event) {
+    super._onChangeInput(event);
+    if ( event.currentTarget.name === "uuid" ) this.uuid = event.currentTarget.value;
+  }
+
+  /* -------------------------------------------- */
+  /*  Application                                 */
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  async _updateObject(event, formData) {
+    this.uuid = formData.uuid ?? this.uuid;
+    this.applied = null;
+    if ( !this.uuid ) {
+      if ( !this.required ) return;
+      throw new Advancement.ERROR(game.i18n.format("DND5E.CharacterCreator.Warning.NoItem", { type: this.title }));
+    }
+
+    const source = await fromUuid(this.uuid);
+    if ( source?.type !== this.type ) {
+      throw new Advancement.ERROR(game.i18n.format("DND5E.CharacterCreator.Warning.NoItem", { type: this.title }));
+    }
+    const itemData = source.pack ? game.items.fromCompendium(source) : source.toObject();
+    foundry.utils.setProperty(itemData, "flags.core.sourceId", source.uuid);
+
+    // Create the item's steps separately so they can be inserted directly after this one
+    const manager = this.options.manager;
+    const steps = manager.steps;
+    manager.steps = [];
+    const item = manager.createNewItemSteps(itemData);
+    const added = manager.steps;
+    manager.steps = steps;
+    manager.steps.splice(manager.steps.findIndex(s => s.flow === this) + 1, 0, ...added);
+    if ( this.type !== "class" ) manager.clone.updateSource({ [`system.details.${this.type}`]: item.id });
+    this.applied = { item: item.id, steps: added.length };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Remove the chosen item and the steps it added from the manager.
+   * @returns {null}
+   */
+  reverse() {
+    if ( !this.applied ) return null;
+    const manager = this.options.manager;
+    manager.steps.splice(manager.steps.findIndex(s => s.flow === this) + 1, this.applied.steps);
+    manager.clone.items.delete(this.applied.item);
+    if ( this.type === "class" ) manager.clone.updateSource({ "system.details.originalClass": "" });
+    else manager.clone.updateSource({ [`system.details.${this.type}`]: null });
+    this.applied = null;
+    return null;
+  }
+}
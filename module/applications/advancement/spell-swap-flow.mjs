@@ -0,0 +1,232 @@
+import Advancement from "../../documents/advancement/advancement.mjs";
+import AdvancementFlow from "./advancement-flow.mjs";
+
+/**
+ * Inline application that allows a character to replace one of their known spells with another when they gain a
+ * level in a class that knows a limited number of spells. Not backed by an advancement.
+ *
+ * @param {Item5e} item          Class gaining the level.
+ * @param {object} [options={}]  Application rendering options.
+ */
+export default class SpellSwapFlow extends AdvancementFlow {
+  constructor(item, options={}) {
+    super(item, null, 0, options);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * ID of the known spell that will be forgotten.
+   * @type {string}
+   */
+  forgotten = "";
+
+  /**
+   * Spell that will be learned in place of the forgotten spell.
+   * @type {Item5e|null}
+   */
+  replacement = null;
+
+  /**
+   * Spell removed and ID of the spell added when this flow was last applied.
+   * @type {{ removed: object, added: string }|null}
+   */
+  applied = null;
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      dragDrop: [{ dropSelector: ".drop-target" }],
+      template: "systems/dnd5e-2014/templates/advancement/spell-swap-flow.hbs"
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  get id() {
+    return `actor-${this.item.id}-spell-swap`;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  get title() {
+    return game.i18n.localize("DND5E.SpellsKnown.Swap.Title");
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Leveled spells known through the class that could be forgotten.
+   * @type {Item5e[]}
+   */
+  get knownSpells() {
+    return this.constructor.getKnownSpells(this.item).sort((lhs, rhs) => lhs.name.localeCompare(rhs.name));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Leveled spells that count against a class's number of spells known.
+   * @param {Item5e} item  Class whose spells should be found.
+   * @returns {Item5e[]}
+   */
+  static getKnownSpells(item) {
+    return item.system.spells.filter(s => {
+      return (s.system.level > 0) && ["pact", "prepared"].includes(s.system.preparation.mode);
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Should a flow be presented when this class gains a level?
+   * @param {Item5e} item  Class gaining the level.
+   * @returns {boolean}
+   */
+  static appliesTo(item) {
+    if ( !item.system.spellcasting?.known?.scale ) return false;
+    return !!this.getKnownSpells(item).length;
+  }
+
+  /* -------------------------------------------- */
+  /*  Rendering                                   */
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  getData() {
+    return {
+      appId: this.id,
+      type: "SpellSwap",
+      title: this.title,
+      hint: game.i18n.format("DND5E.SpellsKnown.Swap.Hint", { class: this.item.name }),
+      spells: Object.fromEntries(this.knownSpells.map(s => [s.id, s.name])),
+      forgotten: this.forgotten,
+      replacement: this.replacement
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find(".item-delete").click(this._onRemoveReplacement.bind(this));
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  _onChangeInput(event) {
+    super._onChangeInput(event);
+    if ( event.target.name === "forgotten" ) this.forgotten = event.target.value;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Clear the replacement spell.
+   * @param {Event} event  Triggering click event.
+   * @protected
+   */
+  _onRemoveReplacement(event) {
+    event.preventDefault();
+    this.replacement = null;
+    this.render();
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  async _onDrop(event) {
+    let data;
+    try {
+      data = JSON.parse(event.dataTransfer.getData("text/plain"));
+    } catch(err) {
+      return false;
+    }
+
+    if ( data.type !== "Item" ) return false;
+    const item = await Item.implementation.fromDropData(data);
+    if ( (item?.type !== "spell") || !item.system.level ) {
+      ui.notifications.error("DND5E.SpellsKnown.Swap.Warning.Type", { localize: true });
+      return null;
+    }
+
+    if ( this.item.system.spells.some(s => s.name === item.name) ) {
+      ui.notifications.error(game.i18n.format("DND5E.SpellLearning.Warning.Known", {
+        spell: item.name, class: this.item.name
+      }));
+      return null;
+    }
+
+    const maxSlot = this._maxSpellSlotLevel();
+    if ( item.system.level > maxSlot ) {
+      ui.notifications.error(game.i18n.format("DND5E.AdvancementItemChoiceSpellLevelAvailableWarning", {
+        level: CONFIG.DND5E.spellLevels[maxSlot]
+      }));
+      return null;
+    }
+
+    this.replacement = item;
+    this.render();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Determine the highest level of spell slot available to the actor.
+   * @returns {number}
+   * @protected
+   */
+  _maxSpellSlotLevel() {
+    return Object.values(this.item.actor.system.spells ?? {}).reduce((slot, { max, level }) => {
+      if ( !max ) return slot;
+      return Math.max(slot, level || -1);
+    }, 0);
+  }
+
+  /* -------------------------------------------- */
+  /*  Application                                 */
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  async _updateObject(event, formData) {
+    const actor = this.item.actor;
+    this.applied = null;
+    this.forgotten = formData.forgotten ?? this.forgotten;
+    const forgotten = actor.items.get(this.forgotten);
+    if ( !forgotten && !this.replacement ) return;
+    if ( !forgotten || !this.replacement ) {
+      throw new Advancement.ERROR(game.i18n.localize("DND5E.SpellsKnown.Swap.Warning.Incomplete"));
+    }
+
+    const spellData = this.replacement.clone({
+      _id: foundry.utils.randomID(),
+      "system.sourceClass": this.item.identifier,
+      "system.preparation": forgotten.system.toObject().preparation,
+      "flags.dnd5e-2014.sourceId": this.replacement.uuid
+    }, { keepId: true }).toObject();
+    this.applied = { removed: forgotten.toObject(), added: spellData._id };
+    actor.items.delete(forgotten.id);
+    actor.updateSource({ items: [spellData] });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Restore the forgotten spell and remove its replacement.
+   * @returns {null}
+   */
+  reverse() {
+    if ( !this.applied ) return null;
+    const actor = this.item.actor;
+    actor.items.delete(this.applied.added);
+    actor.updateSource({ items: [this.applied.removed] });
+    this.applied = null;
+    return null;
+  }
+}
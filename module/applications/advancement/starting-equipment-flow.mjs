@@ -0,0 +1,320 @@
+import Advancement from "../../documents/advancement/advancement.mjs";
+import { getBaseItem, getBaseItemUUID } from "../../documents/actor/trait.mjs";
+import { simplifyBonus } from "../../utils.mjs";
+import AdvancementFlow from "./advancement-flow.mjs";
+
+/**
+ * Inline application that grants starting equipment or starting wealth when a character's first class or background
+ * is added. Unlike other flows, this is not backed by an advancement on the item.
+ *
+ * @param {Item5e} item          Class or background providing the starting equipment.
+ * @param {object} [options={}]  Application rendering options.
+ */
+export default class StartingEquipmentFlow extends AdvancementFlow {
+  constructor(item, options={}) {
+    super(item, null, 0, options);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Items and currency added to the actor when this flow was last applied.
+   * @type {{ items: string[], gp: number }|null}
+   */
+  applied = null;
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      template: "systems/dnd5e-2014/templates/advancement/starting-equipment-flow.hbs"
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  get id() {
+    return `actor-${this.item.id}-starting-equipment`;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  get title() {
+    return game.i18n.localize("DND5E.StartingEquipment.Title");
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Should a flow be presented for this item when it is added to an actor?
+   * @param {Item5e} item    Class or background being added.
+   * @param {Actor5e} actor  Actor to which it is being added, before the item was added.
+   * @returns {boolean}
+   */
+  static appliesTo(item, actor) {
+    if ( (actor.type !== "character") || !["background", "class"].includes(item.type) ) return false;
+    if ( actor.itemTypes[item.type].length ) return false;
+    return !!item.system.startingEquipment?.length || !!item.system.wealth;
+  }
+
+  /* -------------------------------------------- */
+  /*  Rendering                                   */
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  async getData() {
+    const { choices={}, mode, wealth } = this.retainedData ?? {};
+    const topLevel = this.item.system.startingEquipment.filter(e => !e.group).sort((lhs, rhs) => lhs.sort - rhs.sort);
+    const formula = this.item.system.wealth;
+    const modes = {
+      equipment: game.i18n.localize("DND5E.StartingEquipment.Mode.Equipment"),
+      wealth: game.i18n.localize("DND5E.StartingEquipment.Mode.Wealth"),
+      none: game.i18n.localize("DND5E.StartingEquipment.Mode.None")
+    };
+    if ( !formula ) delete modes.wealth;
+    return {
+      appId: this.id,
+      type: "StartingEquipment",
+      title: this.title,
+      entries: await Promise.all(topLevel.map(e => this._prepareEntry(e, choices))),
+      mode: mode ?? (topLevel.length ? "equipment" : "wealth"),
+      modes,
+      wealth: formula ? {
+        formula,
+        value: wealth?.value ?? "",
+        useAverage: wealth?.useAverage ?? false
+      } : null
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Prepare an equipment entry and its children for display.
+   * @param {EquipmentEntryData} entry         Entry being prepared.
+   * @param {Record<string, string>} choices  Previously selected choices, keyed by entry ID.
+   * @returns {Promise<object>}
+   * @protected
+   */
+  async _prepareEntry(entry, choices) {
+    const context = { id: entry._id, type: entry.type, label: entry.label, selected: choices[entry._id] };
+    if ( entry.type in entry.constructor.GROUPING_TYPES ) {
+      context.isOR = entry.type === "OR";
+      context.children = await Promise.all(entry.children.map(c => this._prepareEntry(c, choices)));
+      context.selected ??= context.children[0]?.id;
+    } else if ( entry.type === "linked" ) {
+      context.uuid = entry.key;
+      if ( entry.requiresProficiency ) context.unavailable = !(await this._isProficient(entry.key));
+    } else {
+      context.options = await this.constructor.getCategoryOptions(entry);
+    }
+    return context;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Fetch the items that can be chosen for a category entry.
+   * @param {EquipmentEntryData} entry  Entry with a category type.
+   * @returns {Promise<Record<string, string>>}  Item names keyed by UUID.
+   */
+  static async getCategoryOptions(entry) {
+    let ids;
+    switch ( entry.type ) {
+      case "armor": ids = { ...CONFIG.DND5E.armorIds, ...CONFIG.DND5E.shieldIds }; break;
+      case "focus": ids = CONFIG.DND5E.focusTypes[entry.key]?.itemIds ?? {}; break;
+      case "tool": ids = CONFIG.DND5E.toolIds; break;
+      case "weapon": ids = CONFIG.DND5E.weaponIds; break;
+      default: return {};
+    }
+    const options = {};
+    for ( const id of Object.values(ids) ) {
+      const index = await getBaseItem(id);
+      if ( !index ) continue;
+      const type = index.system?.type?.value;
+      const matches = !entry.key || (entry.type === "focus") || (type === entry.key)
+        || ((entry.type === "weapon") && (CONFIG.DND5E.weaponProficienciesMap[type] === entry.key));
+      if ( matches ) options[getBaseItemUUID(id)] = index.name;
+    }
+    return Object.fromEntries(Object.entries(options).sort(([, lhs], [, rhs]) => lhs.localeCompare(rhs)));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Is the actor proficient with the item at the provided UUID?
+   * @param {string} uuid
+   * @returns {Promise<boolean>}
+   * @protected
+   */
+  async _isProficient(uuid) {
+    const source = await fromUuid(uuid);
+    if ( !source ) return false;
+    const item = new CONFIG.Item.documentClass(source.toObject(), { parent: this.item.actor });
+    return (item.system.proficiencyMultiplier ?? 1) >= 1;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  activateListeners(html) {
+    this.form.querySelectorAll('[name="mode"]').forEach(i => i.addEventListener("change", this._onChangeMode.bind(this)));
+    this.form.querySelector(".averageCheckbox")?.addEventListener("change", event => {
+      this.form.querySelector(".rollResult").disabled = event.target.checked;
+      this.form.querySelector(".rollButton").disabled = event.target.checked;
+      this._updateWealthResult();
+    });
+    this.form.querySelector(".rollButton")?.addEventListener("click", this._onRollWealth.bind(this));
+    this._onChangeMode();
+    this._updateWealthResult();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Show the section of the form for the chosen mode.
+   * @protected
+   */
+  _onChangeMode() {
+    const mode = this.form.querySelector('[name="mode"]:checked')?.value;
+    this.form.querySelectorAll("[data-mode]").forEach(el => el.hidden = el.dataset.mode !== mode);
+    this.options.manager?.setPosition();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Roll the class's starting wealth formula.
+   * @returns {Promise}
+   * @protected
+   */
+  async _onRollWealth() {
+    const roll = new Roll(this.item.system.wealth, this.item.getRollData());
+    await roll.evaluate();
+    this.form.querySelector(".rollResult").value = roll.total;
+    await roll.toMessage({
+      speaker: ChatMessage.getSpeaker({ actor: this.options.manager?.actor }),
+      flavor: game.i18n.format("DND5E.StartingEquipment.Wealth.Flavor", { class: this.item.name })
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Display the average starting wealth when it is taken rather than rolled.
+   * @protected
+   */
+  _updateWealthResult() {
+    if ( !this.form.elements.useAverage?.checked ) return;
+    this.form.elements.wealth.value = this.averageWealth;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Average result of the class's starting wealth formula, rounded down.
+   * @type {number}
+   */
+  get averageWealth() {
+    const formula = this.item.system.wealth.replace(/(\d*)d(\d+)/g, (match, number, faces) => {
+      return `${Number(number || 1) * (Number(faces) + 1) / 2}`;
+    });
+    return Math.floor(simplifyBonus(formula, this.item.getRollData()));
+  }
+
+  /* -------------------------------------------- */
+  /*  Application                                 */
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  async _updateObject(event, formData) {
+    const actor = this.item.actor;
+    const mode = formData.mode;
+    const choices = Object.entries(formData).reduce((obj, [k, v]) => {
+      if ( k.startsWith("choice.") || k.startsWith("item.") ) obj[k.split(".")[1]] = v;
+      return obj;
+    }, {});
+    this.applied = { items: [], gp: 0 };
+    this.retainedData = { mode, choices, wealth: { value: formData.wealth, useAverage: formData.useAverage } };
+
+    if ( mode === "wealth" ) {
+      const gp = formData.useAverage ? this.averageWealth : parseInt(formData.wealth);
+      if ( !Number.isInteger(gp) ) {
+        this.form.querySelector(".rollResult")?.classList.add("error");
+        throw new Advancement.ERROR(game.i18n.localize("DND5E.StartingEquipment.Warning.NoWealth"));
+      }
+      actor.updateSource({ "system.currency.gp": (actor._source.system.currency?.gp ?? 0) + gp });
+      this.applied.gp = gp;
+    }
+
+    else if ( mode === "equipment" ) {
+      const topLevel = this.item.system.startingEquipment.filter(e => !e.group);
+      const grants = [];
+      for ( const entry of topLevel ) await this._resolveEntry(entry, choices, grants);
+      const items = [];
+      for ( const { uuid, count } of grants ) {
+        const source = await fromUuid(uuid);
+        if ( !source ) continue;
+        const data = source.clone({
+          _id: foundry.utils.randomID(),
+          "flags.dnd5e-2014.sourceId": uuid
+        }, { keepId: true }).toObject();
+        if ( (count > 1) && ("quantity" in data.system) ) data.system.quantity = (data.system.quantity || 1) * count;
+        items.push(data);
+      }
+      if ( items.length ) actor.updateSource({ items });
+      this.applied.items = items.map(i => i._id);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Determine the items granted by an entry based on the selected choices.
+   * @param {EquipmentEntryData} entry                   Entry to resolve.
+   * @param {Record<string, string>} choices             Selected choices, keyed by entry ID.
+   * @param {{ uuid: string, count: number }[]} grants  Array to which granted items will be added.
+   * @protected
+   */
+  async _resolveEntry(entry, choices, grants) {
+    switch ( entry.type ) {
+      case "AND":
+        for ( const child of entry.children ) await this._resolveEntry(child, choices, grants);
+        break;
+      case "OR": {
+        const chosen = entry.children.find(c => c._id === choices[entry._id]) ?? entry.children[0];
+        if ( chosen ) await this._resolveEntry(chosen, choices, grants);
+        break;
+      }
+      case "linked":
+        if ( entry.requiresProficiency && !(await this._isProficient(entry.key)) ) break;
+        grants.push({ uuid: entry.key, count: entry.count || 1 });
+        break;
+      default:
+        if ( !choices[entry._id] ) throw new Advancement.ERROR(game.i18n.format(
+          "DND5E.StartingEquipment.Warning.NoChoice", { category: entry.label }
+        ));
+        grants.push({ uuid: choices[entry._id], count: entry.count || 1 });
+        break;
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Remove the items and currency that were added when this flow was applied.
+   * @returns {object}  Data retained to restore the chosen options.
+   */
+  reverse() {
+    const actor = this.item.actor;
+    if ( this.applied?.gp ) {
+      actor.updateSource({ "system.currency.gp": (actor._source.system.currency?.gp ?? 0) - this.applied.gp });
+    }
+    for ( const id of this.applied?.items ?? [] ) actor.items.delete(id);
+    this.applied = null;
+    return this.retainedData;
+  }
+}
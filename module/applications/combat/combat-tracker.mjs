@@ -3,6 +3,115 @@
  * @extends {CombatTracker}
  */
 export default class CombatTracker5e extends CombatTracker {
+
+  /**
+   * Template used to render the legendary action prompt.
+   * @type {string}
+   */
+  static legendaryActionsTemplate = "systems/dnd5e-2014/templates/combat/legendary-actions.hbs";
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  async _render(...args) {
+    await super._render(...args);
+    if ( !this.rendered || !this.viewed ) return;
+    const html = this.element[0];
+    html.querySelectorAll(".combatant[data-combatant-id]").forEach(li => {
+      const combatant = this.viewed.combatants.get(li.dataset.combatantId);
+      if ( combatant?.isLairActions ) li.classList.add("lair-actions");
+      else if ( combatant?.actor && this.viewed.started ) {
+        li.querySelector(".token-name")?.append(this.constructor.createActionPips(combatant));
+      }
+    });
+    if ( game.user.isGM ) await this._renderLegendaryActions(html);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Create pips displaying which of a combatant's actions have been spent this round. Owners of the combatant can
+   * click a pip to toggle it.
+   * @param {Combatant5e} combatant
+   * @returns {HTMLElement}
+   */
+  static createActionPips(combatant) {
+    const used = combatant.actionsUsed;
+    const pips = document.createElement("div");
+    pips.classList.add("action-economy");
+    for ( const [type, { label, icon }] of Object.entries(CONFIG.DND5E.actionEconomy) ) {
+      const pip = document.createElement(combatant.isOwner ? "a" : "span");
+      pip.classList.add("pip", type);
+      pip.classList.toggle("used", !!used[type]);
+      pip.dataset.actionType = type;
+      pip.dataset.tooltip = label;
+      pip.setAttribute("aria-label", label);
+      pip.innerHTML = `<i class="${icon}" inert></i>`;
+      if ( combatant.isOwner ) pip.addEventListener("click", event => {
+        event.preventDefault();
+        event.stopPropagation();
+        pip.classList.toggle("used");
+        combatant.toggleAction(type);
+      });
+      pips.append(pip);
+    }
+    return pips;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Display a combatant's action economy on the token HUD while it is in an active combat.
+   * @param {TokenHUD} app  The TokenHUD application.
+   * @param {jQuery} html   The TokenHUD HTML.
+   */
+  static onRenderTokenHUD(app, html) {
+    const combatant = app.object.combatant;
+    if ( !combatant?.parent?.started || !combatant.actor || combatant.isLairActions ) return;
+    html[0].querySelector(".col.left")?.prepend(CombatTracker5e.createActionPips(combatant));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Insert a prompt after the current combatant listing the legendary actions other creatures may take at the end
+   * of its turn.
+   * @param {HTMLElement} html  The rendered tracker.
+   * @protected
+   */
+  async _renderLegendaryActions(html) {
+    const combat = this.viewed;
+    const current = combat.combatant;
+    if ( !combat.started || !current ) return;
+
+    const creatures = combat.combatants.reduce((arr, combatant) => {
+      const legact = combatant.actor?.system.resources?.legact;
+      if ( (combatant === current) || combatant.isDefeated || !legact?.max ) return arr;
+      if ( combatant.isLairActions || (combatant.actor === current.actor) ) return arr;
+      const features = combatant.legendaryFeatures;
+      if ( !features.length ) return arr;
+      arr.push({
+        combatant, legact,
+        pips: Array.fromRange(legact.max).map(n => ({ filled: n < legact.value })),
+        features: features.map(item => {
+          const cost = item.system.activation.cost || 1;
+          return { item, cost, disabled: cost > legact.value };
+        })
+      });
+      return arr;
+    }, []);
+    if ( !creatures.length ) return;
+
+    const row = html.querySelector(`.combatant[data-combatant-id="${current.id}"]`);
+    if ( !row ) return;
+    row.insertAdjacentHTML("afterend", await renderTemplate(this.constructor.legendaryActionsTemplate, { creatures }));
+    row.nextElementSibling.querySelectorAll('[data-action="useLegendary"]').forEach(b => {
+      b.addEventListener("click", this._onUseLegendaryAction.bind(this));
+    });
+  }
+
+  /* -------------------------------------------- */
+
   /** @inheritdoc */
   async _onCombatantControl(event) {
     const btn = event.currentTarget;
@@ -11,4 +120,27 @@ export default class CombatTracker5e extends CombatTracker {
     if ( (btn.dataset.control === "rollInitiative") && combatant?.actor ) return combatant.actor.rollInitiativeDialog();
     return super._onCombatantControl(event);
   }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Handle using a legendary feature from the legendary action prompt.
+   * @param {PointerEvent} event  The triggering click event.
+   * @returns {Promise}
+   * @protected
+   */
+  async _onUseLegendaryAction(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    const button = event.currentTarget;
+    const combatant = this.viewed?.combatants.get(button.closest("[data-combatant-id]")?.dataset.combatantId);
+    const item = combatant?.actor?.items.get(button.dataset.itemId);
+    if ( !item ) return;
+    button.disabled = true;
+    try {
+      await combatant.useLegendaryAction(item);
+    } finally {
+      button.disabled = false;
+    }
+  }
 }
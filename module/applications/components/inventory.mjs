@@ -214,6 +214,14 @@ export default class InventoryElement extends HTMLElement {
         condition: li => (item.type === "spell") && this.actor?.isOwner,
         group: "action"
       },
+      {
+        name: "DND5E.SpellLearning.Copy",
+        icon: '<i class="fa-solid fa-feather-pointed"></i>',
+        callback: () => this.actor.learnSpell(item),
+        condition: () => item.getFlag("dnd5e-2014", "spellSource") && this.actor?.isOwner
+          && Object.values(this.actor.classes ?? {}).some(c => c.system.spellcasting.spellbook),
+        group: "action"
+      },
       {
         name: "DND5E.ConcentrationBreak",
         icon: '<dnd5e-icon src="systems/dnd5e-2014/icons/svg/break-concentration.svg"></dnd5e-icon>',
@@ -268,7 +276,7 @@ export default class InventoryElement extends HTMLElement {
       name: "DND5E.Identify",
       icon: '<i class="fas fa-magnifying-glass"></i>',
       condition: () => item.isOwner && !item.system.identified,
-      callback: () => item.update({ "system.identified": true }),
+      callback: () => item.identify(),
       group: "state"
     });
 
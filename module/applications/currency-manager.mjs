@@ -137,27 +137,102 @@ export default class CurrencyManager extends DialogMixin(FormApplication) {
    * @returns {Promise<Actor5e|Item5e>}
    */
   static convertCurrency(doc) {
-    const currency = foundry.utils.deepClone(doc.system.currency);
-
-    const currencies = Object.entries(CONFIG.DND5E.currencies);
-    currencies.sort((a, b) => a[1].conversion - b[1].conversion);
-
-    // Count total converted units of the base currency
-    let basis = currencies.reduce((change, [denomination, config]) => {
-      if ( !config.conversion ) return change;
-      return change + (currency[denomination] / config.conversion);
-    }, 0);
-
-    // Convert base units into the highest denomination possible
-    for ( const [denomination, config] of currencies) {
-      if ( !config.conversion ) continue;
-      const amount = Math.floor(basis * config.conversion);
-      currency[denomination] = amount;
-      basis -= (amount / config.conversion);
+    const currency = this.getConvertedCurrency(doc.system.currency);
+    return doc.update({"system.currency": currency});
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Determine the value of each denomination in units of the smallest denomination.
+   * @returns {{values: Record<string, number>, order: string[]}}  Values of each denomination and the denominations
+   *                                                             ordered from largest to smallest.
+   */
+  static #getDenominationValues() {
+    const currencies = Object.entries(CONFIG.DND5E.currencies).filter(([, config]) => config.conversion);
+    const smallest = Math.max(...currencies.map(([, config]) => config.conversion));
+    const values = Object.fromEntries(currencies.map(([k, config]) => [k, Math.round(smallest / config.conversion)]));
+    const order = Object.keys(values).sort((lhs, rhs) => values[rhs] - values[lhs]);
+    return { values, order };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Express an amount of currency using the highest denominations possible, without modifying any document.
+   * Fractional amounts are broken down into smaller denominations, rounding to the nearest smallest coin.
+   * @param {Record<string, number>} currency  Amount of each denomination to convert.
+   * @returns {Record<string, number>}         The converted currency.
+   */
+  static getConvertedCurrency(currency) {
+    const { values, order } = CurrencyManager.#getDenominationValues();
+    const converted = foundry.utils.deepClone(currency);
+    let basis = Math.round(order.reduce((total, k) => total + ((currency[k] ?? 0) * values[k]), 0));
+    for ( const k of order ) {
+      converted[k] = Math.floor(basis / values[k]);
+      basis -= converted[k] * values[k];
     }
+    return converted;
+  }
 
-    // Save the updated currency object
-    return doc.update({"system.currency": currency});
+  /* -------------------------------------------- */
+
+  /**
+   * Determine the currency held after receiving an amount, paid using the highest denominations possible.
+   * @param {Record<string, number>} currency  Currency currently held.
+   * @param {number} amount                    Amount to receive.
+   * @param {string} [denomination="gp"]       Denomination in which the amount is expressed.
+   * @returns {Record<string, number>}         The updated currency.
+   */
+  static receiveCurrency(currency, amount, denomination="gp") {
+    const received = this.getConvertedCurrency({ [denomination]: amount });
+    const updated = { ...currency };
+    for ( const [k, v] of Object.entries(received) ) {
+      if ( k in CONFIG.DND5E.currencies ) updated[k] = (updated[k] ?? 0) + v;
+    }
+    return updated;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Determine the currency remaining after spending an amount, making change from larger denominations if the exact
+   * coins are not available.
+   * @param {Record<string, number>} currency  Currency available to spend.
+   * @param {number} amount                    Amount to spend.
+   * @param {string} [denomination="gp"]       Denomination in which the amount is expressed.
+   * @returns {Record<string, number>|null}    The remaining currency, or `null` if there is not enough to spend.
+   */
+  static spendCurrency(currency, amount, denomination="gp") {
+    const { values, order } = CurrencyManager.#getDenominationValues();
+    const updated = Object.fromEntries(order.map(k => [k, currency[k] ?? 0]));
+
+    let remaining = Math.round(amount * (values[denomination] ?? 0));
+    const total = order.reduce((total, k) => total + (updated[k] * values[k]), 0);
+    if ( remaining > total ) return null;
+
+    // Pay with the requested denomination first, then with the largest coins that don't exceed the remaining cost
+    for ( const k of [denomination, ...order.filter(k => k !== denomination)] ) {
+      if ( !(k in values) ) continue;
+      const spent = Math.min(updated[k], Math.floor(remaining / values[k]));
+      updated[k] -= spent;
+      remaining -= spent * values[k];
+    }
+
+    // Break the smallest coin that covers the rest and receive change in lower denominations
+    if ( remaining > 0 ) {
+      const coin = [...order].reverse().find(k => updated[k] && (values[k] >= remaining));
+      updated[coin] -= 1;
+      let change = values[coin] - remaining;
+      for ( const k of order ) {
+        if ( values[k] >= values[coin] ) continue;
+        const count = Math.floor(change / values[k]);
+        updated[k] += count;
+        change -= count * values[k];
+      }
+    }
+
+    return updated;
   }
 
   /* -------------------------------------------- */
@@ -0,0 +1,427 @@
+import GroupActor from "../data/actor/group.mjs";
+import * as Filter from "../filter.mjs";
+import { formatCR, formatNumber } from "../utils.mjs";
+import CompendiumBrowser from "./compendium-browser.mjs";
+import DialogMixin from "./dialog-mixin.mjs";
+
+/**
+ * Monster that can be used to fill an encounter slot.
+ * @typedef {object} EncounterBuilderEntry
+ * @property {string} uuid  UUID of the NPC actor.
+ * @property {string} name  Name of the NPC.
+ * @property {string} img   Image of the NPC.
+ * @property {number} cr    Challenge rating of the NPC.
+ * @property {number} xp    XP granted by defeating the NPC.
+ */
+
+/**
+ * Single slot within a candidate encounter.
+ * @typedef {object} EncounterBuilderSlot
+ * @property {EncounterBuilderEntry} entry  Monster filling this slot.
+ * @property {number} quantity              Number of this monster in the encounter.
+ */
+
+/**
+ * Candidate encounter produced by the builder.
+ * @typedef {object} EncounterBuilderCandidate
+ * @property {EncounterBuilderSlot[]} slots        Monsters in the encounter.
+ * @property {EncounterDifficultyData} difficulty  Difficulty of the encounter against the selected party.
+ */
+
+/**
+ * Application for generating random encounters against a party using the monsters available in compendiums or
+ * from a roll table.
+ */
+export default class EncounterBuilder extends DialogMixin(FormApplication) {
+  constructor(object, options={}) {
+    super(object ?? game.settings.get("dnd5e-2014", "primaryParty")?.actor ?? null, options);
+    this.criteria.party = this.object?.id ?? "";
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      classes: ["dnd5e2", "encounter-builder", "dialog"],
+      template: "systems/dnd5e-2014/templates/apps/encounter-builder.hbs",
+      title: "DND5E.EncounterBuilder.Title",
+      width: 520,
+      height: "auto",
+      closeOnSubmit: false,
+      submitOnChange: false,
+      candidates: 3,
+      slots: 3,
+      maxOpponents: 15
+    });
+  }
+
+  /* -------------------------------------------- */
+  /*  Properties                                  */
+  /* -------------------------------------------- */
+
+  /**
+   * Criteria used to generate encounters.
+   * @type {{party: string, levels: string, difficulty: string, environment: string, types: Set<string>,
+   *         table: string}}
+   */
+  criteria = {
+    party: "",
+    levels: "",
+    difficulty: "medium",
+    environment: "",
+    types: new Set(),
+    table: ""
+  };
+
+  /* -------------------------------------------- */
+
+  /**
+   * Encounters generated by the builder.
+   * @type {EncounterBuilderCandidate[]}
+   */
+  candidates = [];
+
+  /* -------------------------------------------- */
+
+  /**
+   * Monsters matching the current criteria, cached between rerolls.
+   * @type {EncounterBuilderEntry[]|null}
+   */
+  #pool = null;
+
+  /* -------------------------------------------- */
+
+  /**
+   * Levels of the characters the encounter is built against.
+   * @type {number[]}
+   */
+  get levels() {
+    const party = game.actors.get(this.criteria.party);
+    if ( party ) return party.system.playerCharacters.map(a => a.system.details.level);
+    return this.criteria.levels.split(/[,\s]+/).map(l => parseInt(l)).filter(l => Number.isFinite(l) && (l > 0));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Minimum and maximum adjusted XP for encounters of the target difficulty.
+   * @type {{min: number, max: number}}
+   */
+  get range() {
+    const { thresholds } = GroupActor.calculateDifficulty([], this.levels);
+    const keys = Object.keys(thresholds);
+    const index = keys.indexOf(this.criteria.difficulty);
+    const min = thresholds[this.criteria.difficulty];
+    // Deadly encounters have no upper threshold, so cap them at half again the deadly threshold
+    const max = index < keys.length - 1 ? thresholds[keys[index + 1]] - 1 : Math.floor(min * 1.5);
+    return { min, max };
+  }
+
+  /* -------------------------------------------- */
+  /*  Rendering                                   */
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  getData(options={}) {
+    const context = super.getData(options);
+    const config = CONFIG.DND5E.encounterDifficulties;
+    context.CONFIG = CONFIG.DND5E;
+    context.criteria = this.criteria;
+    context.parties = game.actors.filter(a => (a.type === "group") && (a.system.type.value === "party"))
+      .reduce((obj, a) => {
+        obj[a.id] = a.name;
+        return obj;
+      }, {});
+    context.tables = game.tables.reduce((obj, t) => {
+      obj[t.uuid] = t.name;
+      return obj;
+    }, {});
+    context.difficulties = Object.fromEntries(Object.entries(config).map(([k, v]) => [k, v.label]));
+    context.types = Object.entries(CONFIG.DND5E.creatureTypes).map(([key, { label }]) => ({
+      key, label, checked: this.criteria.types.has(key)
+    }));
+    context.candidates = this.candidates.map((candidate, index) => ({
+      index,
+      label: config[candidate.difficulty.rating]?.label ?? game.i18n.localize("DND5E.Group.Difficulty.Trivial"),
+      rating: candidate.difficulty.rating,
+      xp: formatNumber(candidate.difficulty.adjusted),
+      slots: candidate.slots.map(({ entry, quantity }) => ({ ...entry, quantity, cr: formatCR(entry.cr) }))
+    }));
+    return context;
+  }
+
+  /* -------------------------------------------- */
+  /*  Event Handling                              */
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  activateListeners(jQuery) {
+    super.activateListeners(jQuery);
+    const html = jQuery[0];
+    for ( const button of html.querySelectorAll('[data-action="reroll"]') ) {
+      button.addEventListener("click", this._onRerollSlot.bind(this));
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Handle rerolling a single slot within a candidate encounter.
+   * @param {PointerEvent} event  Triggering click event.
+   * @protected
+   */
+  async _onRerollSlot(event) {
+    event.preventDefault();
+    const { candidate, slot } = event.currentTarget.dataset;
+    await this.rerollSlot(Number(candidate), Number(slot));
+    this.render();
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  async _updateObject(event, formData) {
+    const data = foundry.utils.expandObject(formData);
+    const previous = { ...this.criteria };
+    Object.assign(this.criteria, {
+      party: data.party ?? "",
+      levels: data.levels ?? "",
+      difficulty: data.difficulty,
+      environment: data.environment?.trim() ?? "",
+      types: new Set(Object.entries(data.types ?? {}).filter(([, v]) => v).map(([k]) => k)),
+      table: data.table ?? ""
+    });
+    if ( ["environment", "table"].some(k => previous[k] !== this.criteria[k])
+      || !previous.types.equals(this.criteria.types) ) this.#pool = null;
+
+    switch ( event.submitter?.name ) {
+      case "generate":
+        await this.generate();
+        break;
+      case "save":
+        await this.saveCandidate(Number(event.submitter.value));
+        break;
+    }
+    this.render();
+  }
+
+  /* -------------------------------------------- */
+  /*  Encounter Generation                        */
+  /* -------------------------------------------- */
+
+  /**
+   * Fetch the monsters matching the current environment and type criteria.
+   * @returns {Promise<EncounterBuilderEntry[]>}
+   */
+  async fetchPool() {
+    if ( this.#pool ) return this.#pool;
+    const filters = [];
+    if ( this.criteria.types.size ) {
+      filters.push({ k: "system.details.type.value", o: "in", v: Array.from(this.criteria.types) });
+    }
+    if ( this.criteria.environment ) {
+      filters.push({ k: "system.details.environment", o: "icontains", v: this.criteria.environment });
+    }
+
+    let documents;
+    if ( this.criteria.table ) {
+      const table = await fromUuid(this.criteria.table);
+      documents = [];
+      for ( const result of table?.results ?? [] ) {
+        if ( result.type === CONST.TABLE_RESULT_TYPES.TEXT ) continue;
+        const uuid = result.type === CONST.TABLE_RESULT_TYPES.COMPENDIUM
+          ? `Compendium.${result.documentCollection}.Actor.${result.documentId}`
+          : `${result.documentCollection}.${result.documentId}`;
+        const actor = await fromUuid(uuid);
+        if ( (actor?.type !== "npc") || !Filter.performCheck(actor, filters) ) continue;
+        // Weighted results are represented multiple times so they are chosen more often
+        documents.push(...Array(Math.max(result.weight ?? 1, 1)).fill(actor));
+      }
+    } else {
+      documents = await CompendiumBrowser.fetch(Actor, {
+        types: new Set(["npc"]), filters, indexFields: new Set(["system.details.cr"]), sort: false
+      });
+    }
+
+    this.#pool = documents.reduce((arr, { uuid, name, img, system }) => {
+      const cr = system?.details?.cr;
+      if ( Number.isFinite(cr) ) arr.push({ uuid, name, img, cr, xp: Actor.implementation.prototype.getCRExp(cr) });
+      return arr;
+    }, []);
+    return this.#pool;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Generate new candidate encounters using the current criteria.
+   * @returns {Promise<EncounterBuilderCandidate[]>}
+   */
+  async generate() {
+    this.candidates = [];
+    const levels = this.levels;
+    if ( !levels.length ) {
+      ui.notifications.warn("DND5E.EncounterBuilder.Warning.NoParty", { localize: true });
+      return this.candidates;
+    }
+    const range = this.range;
+    const pool = (await this.fetchPool()).filter(e => e.xp <= range.max);
+    if ( !pool.length ) {
+      ui.notifications.warn("DND5E.EncounterBuilder.Warning.NoMonsters", { localize: true });
+      return this.candidates;
+    }
+
+    for ( let i = 0; i < this.options.candidates; i++ ) {
+      let best;
+      for ( let attempt = 0; attempt < 20; attempt++ ) {
+        const count = Math.ceil(Math.random() * Math.min(this.options.slots, pool.length));
+        const entries = new Set();
+        while ( entries.size < count ) entries.add(pool[Math.floor(Math.random() * pool.length)]);
+        const slots = Array.from(entries).map(entry => ({ entry, quantity: 1 }));
+        const candidate = this.#fill(slots, slots, levels, range);
+        if ( !best || (this.#distance(candidate, range) < this.#distance(best, range)) ) best = candidate;
+        if ( candidate.difficulty.rating === this.criteria.difficulty ) break;
+      }
+      this.candidates.push(best);
+    }
+    return this.candidates;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Replace the monster in a single slot of a candidate encounter and adjust its quantity to fit the difficulty.
+   * @param {number} candidateIndex  Index of the candidate encounter.
+   * @param {number} slotIndex       Index of the slot to reroll.
+   * @returns {Promise<EncounterBuilderCandidate|void>}
+   */
+  async rerollSlot(candidateIndex, slotIndex) {
+    const candidate = this.candidates[candidateIndex];
+    const slot = candidate?.slots[slotIndex];
+    if ( !slot ) return;
+    const levels = this.levels;
+    const range = this.range;
+    const others = new Set(candidate.slots.filter(s => s !== slot).map(s => s.entry.uuid));
+    const pool = (await this.fetchPool()).filter(e => (e.xp <= range.max) && !others.has(e.uuid)
+      && (e.uuid !== slot.entry.uuid));
+    if ( !pool.length ) {
+      ui.notifications.warn("DND5E.EncounterBuilder.Warning.NoMonsters", { localize: true });
+      return;
+    }
+    const replacement = { entry: pool[Math.floor(Math.random() * pool.length)], quantity: 1 };
+    const slots = candidate.slots.map(s => s === slot ? replacement : s);
+    this.candidates[candidateIndex] = this.#fill(slots, [replacement], levels, range);
+    return this.candidates[candidateIndex];
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Increase quantities of the provided slots until the encounter reaches the target difficulty.
+   * @param {EncounterBuilderSlot[]} slots       All slots in the encounter.
+   * @param {EncounterBuilderSlot[]} adjustable  Slots whose quantity can be increased.
+   * @param {number[]} levels                    Levels of the characters in the party.
+   * @param {{min: number, max: number}} range   Target adjusted XP range.
+   * @returns {EncounterBuilderCandidate}
+   */
+  #fill(slots, adjustable, levels, range) {
+    const evaluate = () => GroupActor.calculateDifficulty(
+      slots.map(({ entry, quantity }) => ({ xp: entry.xp, quantity })), levels
+    );
+    let difficulty = evaluate();
+    adjustable = [...adjustable];
+    while ( adjustable.length && (difficulty.adjusted < range.min) ) {
+      const slot = adjustable[Math.floor(Math.random() * adjustable.length)];
+      slot.quantity += 1;
+      const next = evaluate();
+      const total = slots.reduce((t, s) => t + s.quantity, 0);
+      if ( (next.adjusted > range.max) || (total > this.options.maxOpponents) ) {
+        slot.quantity -= 1;
+        adjustable.findSplice(s => s === slot);
+      }
+      else difficulty = next;
+    }
+    return { slots, difficulty };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * How far a candidate's adjusted XP falls outside the target range.
+   * @param {EncounterBuilderCandidate} candidate  Candidate to measure.
+   * @param {{min: number, max: number}} range     Target adjusted XP range.
+   * @returns {number}
+   */
+  #distance(candidate, range) {
+    const xp = candidate.difficulty.adjusted;
+    return Math.max(range.min - xp, xp - range.max, 0);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Save a candidate encounter as a new encounter group actor.
+   * @param {number} index  Index of the candidate to save.
+   * @returns {Promise<Actor5e|void>}
+   */
+  async saveCandidate(index) {
+    const candidate = this.candidates[index];
+    if ( !candidate ) return;
+    const members = new Map();
+    for ( const { entry, quantity } of candidate.slots ) {
+      const actor = await this.constructor.importActor(entry.uuid);
+      if ( !actor ) continue;
+      const member = members.get(actor.id) ?? { actor: actor.id, quantity: { value: 0 } };
+      member.quantity.value += quantity;
+      members.set(actor.id, member);
+    }
+    const difficulty = CONFIG.DND5E.encounterDifficulties[candidate.difficulty.rating]?.label
+      ?? game.i18n.localize("DND5E.Group.Difficulty.Trivial");
+    const group = await Actor.implementation.create({
+      name: game.i18n.format("DND5E.EncounterBuilder.DefaultName", { difficulty }),
+      type: "group",
+      system: { type: { value: "encounter" }, members: Array.from(members.values()) }
+    });
+    group?.sheet.render(true);
+    return group;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Retrieve a world copy of an actor, importing it from its compendium if it hasn't been imported already.
+   * @param {string} uuid  UUID of the actor.
+   * @returns {Promise<Actor5e|null>}
+   */
+  static async importActor(uuid) {
+    const actor = await fromUuid(uuid);
+    if ( !actor?.pack ) return actor ?? null;
+    const existing = game.actors.find(a => (a._stats?.compendiumSource ?? a.getFlag("core", "sourceId")) === uuid);
+    if ( existing ) return existing;
+    return game.actors.importFromCompendium(game.packs.get(actor.pack), actor.id);
+  }
+
+  /* -------------------------------------------- */
+  /*  Factory Methods                             */
+  /* -------------------------------------------- */
+
+  /**
+   * Add a button to open the encounter builder to the actors directory.
+   * @param {HTMLElement} html  The actors directory.
+   */
+  static injectSidebarButton(html) {
+    if ( !game.user.isGM ) return;
+    const button = document.createElement("button");
+    button.type = "button";
+    button.classList.add("open-encounter-builder");
+    button.innerHTML = `
+      <i class="fa-solid fa-dragon" inert></i>
+      ${game.i18n.localize("DND5E.EncounterBuilder.Action.Open")}
+    `;
+    button.addEventListener("click", event => (new EncounterBuilder()).render(true));
+
+    const headerActions = html.querySelector(".header-actions");
+    headerActions?.append(button);
+  }
+}
@@ -1,4 +1,5 @@
 import { EnchantmentData } from "../../data/item/fields/enchantment-field.mjs";
+import { formatNumber } from "../../utils.mjs";
 
 /**
  * A specialized Dialog subclass for ability usage.
@@ -69,6 +70,7 @@ export default class AbilityUseDialog extends Dialog {
       slotOptions: config.consumeSpellSlot ? slotOptions : [],
       enchantmentOptions: this._createEnchantmentOptions(item),
       summoningOptions: this._createSummoningOptions(item),
+      materials: this._createMaterialComponents(item),
       resourceOptions: resourceOptions,
       resourceArray: Array.isArray(resourceOptions),
       concentration: {
@@ -244,6 +246,36 @@ export default class AbilityUseDialog extends Dialog {
 
   /* -------------------------------------------- */
 
+  /**
+   * Describe how the material components required by a spell will be provided.
+   * @param {Item5e} item  The item.
+   * @returns {object|null}  Material component details, or null if the item doesn't require material components.
+   * @protected
+   */
+  static _createMaterialComponents(item) {
+    const components = item.system.getMaterialComponents?.();
+    if ( !components ) return null;
+    let label;
+    switch ( components.source ) {
+      case "supply":
+        label = game.i18n.format("DND5E.MaterialComponents.Source.Supply", { value: item.system.materials.supply });
+        break;
+      case "item":
+        label = game.i18n.format("DND5E.MaterialComponents.Source.Item", {
+          name: components.item.name, value: components.item.system.quantity
+        });
+        break;
+      case "focus":
+        label = game.i18n.format("DND5E.MaterialComponents.Source.Focus", { name: components.item.name });
+        break;
+      default:
+        label = game.i18n.localize("DND5E.MaterialComponents.Source.Missing");
+    }
+    return { ...components, label, missing: !components.source };
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Configure resource consumption options for a select.
    * @param {Item5e} item     The item.
@@ -375,7 +407,7 @@ export default class AbilityUseDialog extends Dialog {
     const warnings = [];
     const item = data.item;
     const { quantity, level, consume, preparation } = item.system;
-    const scale = options.disableScaling ? null : item.usageScaling;
+    const scale = (options.disableScaling || data.castAsRitual) ? null : item.usageScaling;
     const levels = [level];
 
     if ( item.type === "spell" ) {
@@ -426,6 +458,14 @@ export default class AbilityUseDialog extends Dialog {
       }
     }
 
+    // Warn that costly material components are missing.
+    if ( data.materials?.costly && data.materials.missing
+      && (game.settings.get("dnd5e-2014", "costlyComponents") !== "none") ) {
+      warnings.push(game.i18n.format("DND5E.MaterialComponents.Warning.Missing", {
+        name: item.name, cost: formatNumber(item.system.materials.cost)
+      }));
+    }
+
     // Display warnings that the actor cannot concentrate on this item, or if it must replace one of the effects.
     if ( data.concentration.show ) {
       const locale = `DND5E.ConcentratingWarnLimit${data.concentration.optional ? "Optional" : ""}`;
@@ -470,6 +510,22 @@ export default class AbilityUseDialog extends Dialog {
     const [html] = jQuery;
 
     html.querySelector('[name="slotLevel"]')?.addEventListener("change", this._onChangeSlotLevel.bind(this));
+    const ritual = html.querySelector('[name="castAsRitual"]');
+    ritual?.addEventListener("change", this._onChangeRitual.bind(this));
+    if ( ritual ) this._onChangeRitual({ target: ritual });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Disable spell slot options when the spell is being cast as a ritual.
+   * @param {Event} event  Triggering change event.
+   */
+  _onChangeRitual(event) {
+    const form = event.target.form;
+    for ( const name of ["slotLevel", "consumeSpellSlot", "resourceAmount"] ) {
+      if ( form.elements[name] ) form.elements[name].disabled = event.target.checked;
+    }
   }
 
   /* -------------------------------------------- */
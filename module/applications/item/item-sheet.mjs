@@ -116,6 +116,14 @@ export default class ItemSheet5e extends ItemSheet {
       isHealing: item.system.actionType === "heal",
       isFlatDC: item.system.save?.scaling === "flat",
       isLine: ["line", "wall"].includes(item.system.target?.type),
+      zoneConditions: item.system.hasAreaTarget ? Object.entries(CONFIG.DND5E.conditionTypes).reduce((obj, [k, c]) => {
+        obj[k] = { label: c.label, selected: item.system.target.zone.conditions.has(k) ? "selected" : "" };
+        return obj;
+      }, {}) : null,
+      lightAnimations: item.system.hasLight ? Object.entries(CONFIG.Canvas.lightAnimations).reduce((obj, [k, a]) => {
+        obj[k] = game.i18n.localize(a.label);
+        return obj;
+      }, {}) : null,
       isFormulaRecharge: !!CONFIG.DND5E.limitedUsePeriods[item.system.uses?.per]?.formula,
       isCostlessAction: item.system.activation?.type in CONFIG.DND5E.staticAbilityActivationTypes,
 
@@ -164,6 +172,18 @@ export default class ItemSheet5e extends ItemSheet {
       if ( item.type !== "spell" ) context.properties = sortObjectEntries(context.properties, "label");
     }
 
+    // Multiclassing rules for classes
+    if ( item.type === "class" ) context.multiclass = {
+      abilities: Object.entries(CONFIG.DND5E.abilities).map(([key, { abbreviation, label }]) => ({
+        key, abbreviation, label, value: source.system.multiclass?.prerequisites.abilities[key]
+      })),
+      grants: (source.system.multiclass?.proficiencies.grants ?? []).join(", "),
+      modes: {
+        all: game.i18n.localize("DND5E.Multiclass.Prerequisites.All"),
+        any: game.i18n.localize("DND5E.Multiclass.Prerequisites.Any")
+      }
+    };
+
     // Handle item subtypes.
     if ( ["feat", "loot", "consumable"].includes(item.type) ) {
       const name = item.type === "feat" ? "feature" : item.type;
@@ -462,6 +482,9 @@ export default class ItemSheet5e extends ItemSheet {
   _getSubmitData(updateData={}) {
     const formData = foundry.utils.expandObject(super._getSubmitData(updateData));
 
+    // Don't store the identified image as the unidentified image
+    if ( formData.system?.unidentified?.img === this.item._source.img ) delete formData.system.unidentified.img;
+
     // Handle Damage array
     const damage = formData.system?.damage;
     if ( damage && !foundry.utils.getProperty(this.item.overrides, "system.damage.parts") ) {
@@ -475,6 +498,16 @@ export default class ItemSheet5e extends ItemSheet {
       formData.system.properties = [...filteredKeys(formData.system.properties), ...preserve];
     }
 
+    // Handle zone conditions, which are omitted from the form data when none are selected
+    const zone = formData.system?.target?.zone;
+    if ( zone && !zone.conditions ) zone.conditions = [];
+
+    // Handle multiclass proficiency grants
+    const grants = formData.system?.multiclass?.proficiencies?.grants;
+    if ( typeof grants === "string" ) {
+      formData.system.multiclass.proficiencies.grants = grants.split(",").map(g => g.trim()).filter(g => g);
+    }
+
     // Check max uses formula
     const uses = formData.system?.uses;
     if ( uses?.max ) {
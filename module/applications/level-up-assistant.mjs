@@ -0,0 +1,205 @@
+import AdvancementManager from "./advancement/advancement-manager.mjs";
+import CreationItemFlow from "./advancement/creation-item-flow.mjs";
+import DialogMixin from "./dialog-mixin.mjs";
+
+/**
+ * Snapshot of a character taken before leveling up, used to summarize what was gained.
+ *
+ * @typedef {object} LevelUpSnapshot
+ * @property {number} level                 Character level before the level up.
+ * @property {number} hp                    Maximum hit points before the level up.
+ * @property {Record<string, number>} classes  Levels in each class keyed by class ID.
+ * @property {Set<string>} items            IDs of items the character had before the level up.
+ * @property {Record<string, number>} slots  Maximum spell slots keyed by slot type.
+ */
+
+/**
+ * Application for choosing which class a character advances when they gain a level, running the advancement
+ * process for that class, and posting a summary of the level gained to chat.
+ */
+export default class LevelUpAssistant extends DialogMixin(FormApplication) {
+
+  /** @inheritdoc */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      classes: ["dnd5e2", "level-up-assistant", "dialog"],
+      template: "systems/dnd5e-2014/templates/apps/level-up-assistant.hbs",
+      title: "DND5E.LevelUp.Title",
+      width: 400,
+      height: "auto",
+      closeOnSubmit: false
+    });
+  }
+
+  /* -------------------------------------------- */
+  /*  Properties                                  */
+  /* -------------------------------------------- */
+
+  /**
+   * The character being leveled up.
+   * @type {Actor5e}
+   */
+  get actor() {
+    return this.object;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  get id() {
+    return `actor-${this.actor.id}-level-up`;
+  }
+
+  /* -------------------------------------------- */
+  /*  Rendering                                   */
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  async getData(options={}) {
+    const context = super.getData(options);
+    const classes = this.actor.itemTypes.class;
+    const names = new Set(classes.map(c => c.name));
+    const original = this.actor.system.details.originalClass;
+    context.level = this.actor.system.details.level + 1;
+    context.source = game.i18n.localize(this.actor.hasLevelUpExperience
+      ? "DND5E.LevelUp.Source.Experience" : "DND5E.LevelUp.Source.Milestone");
+    context.classes = classes.map(cls => ({
+      id: cls.id,
+      name: cls.name,
+      subclass: cls.subclass?.name,
+      levels: cls.system.levels,
+      next: cls.system.levels + 1,
+      checked: original ? cls.id === original : cls === classes[0]
+    }));
+    context.newClasses = (await CreationItemFlow.getChoices("class")).map(group => ({
+      ...group, items: group.items.filter(i => !names.has(i.name))
+    })).filter(group => group.items.length);
+    return context;
+  }
+
+  /* -------------------------------------------- */
+  /*  Event Handling                              */
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  activateListeners(html) {
+    super.activateListeners(html);
+    this._onChangeInput();
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  _onChangeInput(event) {
+    if ( event ) super._onChangeInput(event);
+    const select = this.form.querySelector('select[name="uuid"]');
+    if ( select ) select.disabled = this.form.querySelector('[name="class"]:checked')?.value !== "new";
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  async _updateObject(event, formData) {
+    const actor = this.actor;
+    const snapshot = this.constructor.createSnapshot(actor);
+    const milestone = !actor.hasLevelUpExperience;
+    const useAdvancement = !game.settings.get("dnd5e-2014", "disableAdvancements");
+    let manager;
+
+    // Advance an existing class
+    let cls = actor.items.get(formData.class);
+    if ( formData.class === "new" ) {
+      const source = await fromUuid(formData.uuid ?? "");
+      if ( source?.type !== "class" ) {
+        ui.notifications.warn(game.i18n.localize("DND5E.LevelUp.Warning.NoClass"));
+        return;
+      }
+      cls = actor.itemTypes.class.find(c => c.identifier === source.identifier);
+
+      // Multiclass into a new class
+      if ( !cls ) {
+        if ( !AdvancementManager.checkMulticlassPrerequisites(actor, source) ) return;
+        const itemData = source.pack ? game.items.fromCompendium(source) : source.toObject();
+        itemData.system.levels = 1;
+        if ( useAdvancement ) manager = AdvancementManager.forNewItem(actor, itemData);
+        if ( !manager?.steps.length ) await actor.createEmbeddedDocuments("Item", [itemData]);
+      }
+    }
+    if ( cls ) {
+      if ( useAdvancement ) manager = AdvancementManager.forLevelChange(actor, cls.id, 1);
+      if ( !manager?.steps.length ) await cls.update({ "system.levels": cls.system.levels + 1 });
+    }
+
+    this.close();
+    if ( manager?.steps.length ) {
+      const hookId = Hooks.on("dnd5e.advancementManagerComplete", completed => {
+        if ( completed !== manager ) return;
+        Hooks.off("dnd5e.advancementManagerComplete", hookId);
+        this.constructor.completeLevelUp(actor, snapshot, { milestone });
+      });
+      manager.render(true);
+    }
+    else await this.constructor.completeLevelUp(actor, snapshot, { milestone });
+  }
+
+  /* -------------------------------------------- */
+  /*  Level Up Summary                            */
+  /* -------------------------------------------- */
+
+  /**
+   * Record the details of a character that will be compared once the level up is complete.
+   * @param {Actor5e} actor
+   * @returns {LevelUpSnapshot}
+   */
+  static createSnapshot(actor) {
+    return {
+      level: actor.system.details.level,
+      hp: actor.system.attributes.hp.max,
+      classes: Object.fromEntries(actor.itemTypes.class.map(c => [c.id, c.system.levels])),
+      items: new Set(actor.items.keys()),
+      slots: Object.fromEntries(Object.entries(actor.system.spells ?? {}).map(([k, v]) => [k, v.max ?? 0]))
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Consume the milestone used to level up, if any, and post a summary of the level gained to chat.
+   * @param {Actor5e} actor              Character that was leveled up.
+   * @param {LevelUpSnapshot} snapshot  Details of the character before leveling up.
+   * @param {object} [options={}]
+   * @param {boolean} [options.milestone=false]  Was the level up granted by a milestone rather than experience?
+   * @returns {Promise<ChatMessage5e|void>}
+   */
+  static async completeLevelUp(actor, snapshot, { milestone=false }={}) {
+    if ( actor.system.details.level <= snapshot.level ) return;
+    if ( milestone ) await actor.grantMilestone(-1);
+
+    const items = actor.items.filter(i => !snapshot.items.has(i.id));
+    const slots = Object.entries(actor.system.spells ?? {}).reduce((arr, [key, slot]) => {
+      const gained = (slot.max ?? 0) - (snapshot.slots[key] ?? 0);
+      if ( gained <= 0 ) return arr;
+      const label = key === "pact" ? game.i18n.localize("DND5E.SpellSlotsPact") : CONFIG.DND5E.spellLevels[slot.level];
+      arr.push({ label, gained });
+      return arr;
+    }, []);
+
+    const cls = actor.itemTypes.class.find(c => c.system.levels > (snapshot.classes[c.id] ?? 0));
+    const content = await renderTemplate("systems/dnd5e-2014/templates/chat/level-up-card.hbs", {
+      class: cls ? game.i18n.format("DND5E.LevelUp.Class", {
+        class: cls.name, level: cls.system.levels.ordinalString()
+      }) : null,
+      hp: actor.system.attributes.hp.max - snapshot.hp,
+      features: items.filter(i => i.type !== "class").map(i => ({ name: i.name, img: i.img, uuid: i.uuid })),
+      slots
+    });
+    const messageData = {
+      content,
+      flavor: game.i18n.format("DND5E.LevelUp.Message", { name: actor.name, level: actor.system.details.level }),
+      speaker: ChatMessage.getSpeaker({ actor })
+    };
+    // TODO: Remove when v11 support is dropped.
+    if ( game.release.generation < 12 ) messageData.type = CONST.CHAT_MESSAGE_TYPES.OTHER;
+    return ChatMessage.implementation.create(messageData);
+  }
+}
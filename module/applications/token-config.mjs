@@ -29,6 +29,7 @@ export default class TokenConfig5e extends TokenConfig {
     await super._render(...args);
     if ( !this.rendered ) return;
     await this._addTokenRingConfiguration(this.element[0]);
+    this._addVisionConfiguration(this.element[0]);
     this._prepareResourceLabels(this.element[0]);
   }
 
@@ -94,6 +95,27 @@ export default class TokenConfig5e extends TokenConfig {
 
   /* -------------------------------------------- */
 
+  /**
+   * Add an option to derive the token's vision from its actor's senses.
+   * @param {HTMLElement} html  The rendered markup.
+   * @protected
+   */
+  _addVisionConfiguration(html) {
+    const enabled = html.querySelector('.tab[data-tab="vision"] [name="sight.enabled"]')?.closest(".form-group");
+    if ( !enabled ) return;
+    const checked = foundry.utils.getProperty(this.document, "flags.dnd5e-2014.linkSenses");
+    enabled.insertAdjacentHTML("afterend", `
+      <div class="form-group">
+        <label>${game.i18n.localize("DND5E.TokenVision.LinkSenses.Label")}</label>
+        <input type="checkbox" name="flags.dnd5e-2014.linkSenses" ${checked ? "checked" : ""}>
+        <p class="hint">${game.i18n.localize("DND5E.TokenVision.LinkSenses.Hint")}</p>
+      </div>
+    `);
+    enabled.nextElementSibling.querySelector("input").addEventListener("change", this._onChangeInput.bind(this));
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Adds charge based items as attributes for the current token.
    * @param {object} attributes The attribute groups to add the item entries to.
@@ -1,4 +1,5 @@
 export {default as AbilityTemplate} from "./ability-template.mjs";
+export {default as AttackContext} from "./attack-context.mjs";
 export * as detectionModes from "./detection-modes/_module.mjs";
 export {measureDistances} from "./grid.mjs";
 export {default as MapLocationControlIcon} from "./map-location-control-icon.mjs";
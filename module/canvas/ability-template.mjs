@@ -27,6 +27,14 @@ export default class AbilityTemplate extends MeasuredTemplate {
 
   /* -------------------------------------------- */
 
+  /**
+   * Should the item's actor and tokens friendly towards them be excluded when targeting covered tokens?
+   * @type {boolean}
+   */
+  excludeAllies = false;
+
+  /* -------------------------------------------- */
+
   /**
    * A factory method to create an AbilityTemplate instance using provided data from an Item5e instance
    * @param {Item5e} item               The Item object for which to construct the template
@@ -50,6 +58,11 @@ export default class AbilityTemplate extends MeasuredTemplate {
       flags: { dnd5e: { origin: item.uuid, spellLevel: item.system.level } }
     }, options);
 
+    // Zones record their origin so their effects can be triggered once the template is placed
+    if ( item.system.hasZone ) foundry.utils.setProperty(templateData, "flags.dnd5e-2014.zone", {
+      origin: item.uuid, spellLevel: templateData.flags["dnd5e-2014"]?.spellLevel ?? item.system.level, triggered: {}
+    });
+
     // Additional type-specific data
     switch ( templateShape ) {
       case "cone":
@@ -210,7 +223,9 @@ export default class AbilityTemplate extends MeasuredTemplate {
     const interval = canvas.grid.type === CONST.GRID_TYPES.GRIDLESS ? 0 : 2;
     const destination = canvas.grid.getSnappedPosition(this.document.x, this.document.y, interval);
     this.document.updateSource(destination);
-    this.#events.resolve(canvas.scene.createEmbeddedDocuments("MeasuredTemplate", [this.document.toObject()]));
+    const created = await canvas.scene.createEmbeddedDocuments("MeasuredTemplate", [this.document.toObject()]);
+    if ( game.settings.get("dnd5e-2014", "templateTargeting") !== "none" ) this.targetTokens();
+    this.#events.resolve(created);
   }
 
   /* -------------------------------------------- */
@@ -224,4 +239,177 @@ export default class AbilityTemplate extends MeasuredTemplate {
     this.#events.reject();
   }
 
+  /* -------------------------------------------- */
+  /*  Targeting                                   */
+  /* -------------------------------------------- */
+
+  /**
+   * Determine which tokens are covered by this template.
+   * @param {object} [options={}]
+   * @param {boolean} [options.excludeAllies]  Exclude the item's actor and tokens friendly towards them.
+   * @returns {Token5e[]}
+   */
+  getCoveredTokens({ excludeAllies=this.excludeAllies }={}) {
+    const actor = this.item?.actor;
+    const disposition = (actor?.token ?? actor?.prototypeToken)?.disposition;
+    return canvas.tokens.placeables.filter(token => {
+      if ( !token.actor || (token.document.hidden && !game.user.isGM) ) return false;
+      if ( excludeAllies && actor ) {
+        if ( token.actor === actor ) return false;
+        if ( token.document.disposition === disposition ) return false;
+      }
+      return AbilityTemplate.isTokenCovered(this, token);
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Set the tokens covered by this template as the current user's targets.
+   * @returns {Token5e[]}  The tokens targeted.
+   */
+  targetTokens() {
+    const tokens = this.getCoveredTokens();
+
+    /**
+     * A hook event that fires before the tokens covered by a placed template are targeted.
+     * @function dnd5e.preTargetTemplateTokens
+     * @memberof hookEvents
+     * @param {AbilityTemplate} template  The template that was placed.
+     * @param {Token5e[]} tokens          Tokens that will be targeted. *Will be mutated.*
+     * @returns {boolean}                 Explicitly return `false` to prevent targeting.
+     */
+    if ( Hooks.call("dnd5e.preTargetTemplateTokens", this, tokens) === false ) return [];
+
+    game.user.updateTokenTargets(tokens.map(t => t.id));
+    game.user.broadcastActivity({ targets: game.user.targets.ids });
+    return tokens;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Determine whether a token is covered by a template. A token is covered if any grid space it occupies is covered,
+   * with a space being covered when its center lies within the template or, if the template targeting setting is
+   * "any", when any part of it does.
+   * @param {MeasuredTemplate} template  The template placeable.
+   * @param {Token5e} token              The token placeable.
+   * @param {{x: number, y: number}} [position]  Position at which to test the token, if not its current position.
+   * @returns {boolean}
+   */
+  static isTokenCovered(template, token, position) {
+    const shape = template.shape ?? template._computeShape();
+    const { x, y } = template.document;
+    const any = game.settings.get("dnd5e-2014", "templateTargeting") === "any";
+    return AbilityTemplate.#getTokenSpaces(token, position ?? token.document).some(space => {
+      return AbilityTemplate.#getTestPoints(space, any).some(p => shape.contains(p.x - x, p.y - y));
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Determine the grid spaces occupied by a token. On gridless scenes the token's bounds are used as a single space.
+   * @param {Token5e} token                    The token.
+   * @param {{x: number, y: number}} position  Position of the token's top-left corner.
+   * @returns {PIXI.Rectangle[]}
+   */
+  static #getTokenSpaces(token, { x, y }) {
+    const { width, height } = token.document;
+    if ( canvas.grid.type === CONST.GRID_TYPES.GRIDLESS ) return [new PIXI.Rectangle(x, y, token.w, token.h)];
+    const size = canvas.grid.size;
+    const spaces = [];
+    for ( let i = 0; i < Math.max(width, 1); i++ ) {
+      for ( let j = 0; j < Math.max(height, 1); j++ ) {
+        spaces.push(new PIXI.Rectangle(
+          x + (i * size), y + (j * size), size * Math.min(width, 1), size * Math.min(height, 1)
+        ));
+      }
+    }
+    return spaces;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Determine the points within a space that are tested against the template shape.
+   * @param {PIXI.Rectangle} space  The space to test.
+   * @param {boolean} any           Test points across the whole space rather than just its center.
+   * @returns {{x: number, y: number}[]}
+   */
+  static #getTestPoints(space, any) {
+    if ( !any ) return [space.center];
+    const points = [];
+    const steps = 4;
+    for ( let i = 0; i <= steps; i++ ) {
+      for ( let j = 0; j <= steps; j++ ) {
+        // Inset the outermost points slightly so spaces that merely touch the template's edge aren't included
+        points.push({
+          x: space.x + Math.clamp(space.width * (i / steps), 1, space.width - 1),
+          y: space.y + Math.clamp(space.height * (j / steps), 1, space.height - 1)
+        });
+      }
+    }
+    return points;
+  }
+
+  /* -------------------------------------------- */
+  /*  Zones                                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Retrieve the templates in a scene that create zones and are drawn on the canvas.
+   * @param {Scene} scene  The scene to search.
+   * @returns {MeasuredTemplateDocument[]}
+   */
+  static getZones(scene) {
+    if ( scene !== canvas.scene ) return [];
+    return scene.templates.filter(t => t.object && t.getFlag("dnd5e-2014", "zone"));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Trigger a zone's effects on a token by posting a chat card targeting it, unless the zone has already been
+   * triggered for that token during the current turn.
+   * @param {MeasuredTemplateDocument} template  The zone's template.
+   * @param {TokenDocument5e} token               Token that triggered the zone.
+   * @param {Combat5e} combat                     Combat in which the zone was triggered.
+   * @param {string} trigger                      How the zone was triggered, either "start" for starting a turn
+   *                                              within it or "enter" for entering it.
+   * @returns {Promise<ChatMessage5e|void>}
+   */
+  static async triggerZone(template, token, combat, trigger) {
+    const zone = template.getFlag("dnd5e-2014", "zone");
+    const item = fromUuidSync(zone?.origin);
+    if ( !item?.system.hasZone || !token.actor ) return;
+    const key = `${combat.round}-${combat.turn}`;
+    if ( zone.triggered?.[token.id] === key ) return;
+
+    /**
+     * A hook event that fires before a zone's effects are triggered on a token.
+     * @function dnd5e.preTriggerZone
+     * @memberof hookEvents
+     * @param {MeasuredTemplateDocument} template  The zone's template.
+     * @param {TokenDocument5e} token               Token that triggered the zone.
+     * @param {string} trigger                      How the zone was triggered, either "start" or "enter".
+     * @returns {boolean}                           Explicitly return `false` to prevent the zone from triggering.
+     */
+    if ( Hooks.call("dnd5e.preTriggerZone", template, token, trigger) === false ) return;
+
+    await template.setFlag("dnd5e-2014", `zone.triggered.${token.id}`, key);
+    const message = await item.displayZoneCard(token, { spellLevel: zone.spellLevel, trigger });
+
+    /**
+     * A hook event that fires after a zone's effects are triggered on a token.
+     * @function dnd5e.triggerZone
+     * @memberof hookEvents
+     * @param {MeasuredTemplateDocument} template  The zone's template.
+     * @param {TokenDocument5e} token               Token that triggered the zone.
+     * @param {ChatMessage5e} message               The chat card created for the zone's effects.
+     */
+    Hooks.callAll("dnd5e.triggerZone", template, token, message);
+
+    return message;
+  }
 }
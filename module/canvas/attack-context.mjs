@@ -0,0 +1,175 @@
+/**
+ * A situational modifier applied to an attack roll based on the positions of the attacker and target.
+ *
+ * @typedef {object} AttackModifier
+ * @property {string} id               Unique identifier of the modifier ("cover", "range", "flanking", or a
+ *                                     condition effect and condition such as "attackDisadvantage.prone").
+ * @property {string} label            Localized label displayed in the roll configuration dialog.
+ * @property {boolean} enabled         Should this modifier be applied to the roll?
+ * @property {boolean} [advantage]     Does this modifier grant advantage?
+ * @property {boolean} [disadvantage]  Does this modifier impose disadvantage?
+ * @property {number} [targetBonus]    Bonus added to the target's armor class.
+ * @property {boolean} [fail]          Does this modifier cause the roll to fail automatically?
+ * @property {boolean} [critical]      Does this modifier turn a hit into a critical hit?
+ */
+
+/**
+ * Helpers for measuring cover, range, and flanking between an attacker's token and its target on the canvas.
+ */
+export default class AttackContext {
+
+  /**
+   * Determine the situational modifiers for an attack made with an item against a single target.
+   * @param {Item5e} item    The item used to make the attack.
+   * @param {Token5e} target The targeted token.
+   * @returns {AttackModifier[]}
+   */
+  static getModifiers(item, target) {
+    const attacker = item.actor?.getActiveTokens()[0];
+    if ( !canvas.ready || !attacker || !target || (attacker === target) ) return [];
+    const modifiers = [];
+
+    // Cover
+    const cover = this.measureCover(attacker, target);
+    if ( cover === 1 ) {
+      ui.notifications.warn(game.i18n.format("DND5E.AttackContext.TotalCover", { name: target.name }));
+    }
+    else if ( cover ) modifiers.push({
+      id: "cover",
+      label: CONFIG.DND5E.cover[cover],
+      enabled: true,
+      targetBonus: CONFIG.DND5E.coverBonuses[cover] ?? 0
+    });
+
+    // Long range
+    const { value: normal, long } = item.system.range ?? {};
+    const distance = this.measureDistance(attacker, target);
+    const isRanged = ["rwak", "rsak"].includes(item.system.actionType)
+      || (item.system.properties?.has("thr") && (distance > canvas.dimensions.distance));
+    if ( isRanged && normal && (distance > normal) ) {
+      if ( !long || (distance > long) ) {
+        ui.notifications.warn(game.i18n.format("DND5E.AttackContext.OutOfRange", { name: target.name }));
+      }
+      else modifiers.push({
+        id: "range",
+        label: game.i18n.localize("DND5E.AttackContext.LongRange"),
+        enabled: true,
+        disadvantage: true
+      });
+    }
+
+    // Flanking
+    const isMelee = ["mwak", "msak"].includes(item.system.actionType);
+    if ( isMelee && game.settings.get("dnd5e-2014", "combatFlanking") && this.isFlanking(attacker, target) ) {
+      modifiers.push({
+        id: "flanking",
+        label: game.i18n.localize("DND5E.AttackContext.Flanking"),
+        enabled: true,
+        advantage: true
+      });
+    }
+
+    return modifiers;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Determine the modifiers a target's conditions apply to an attack made against it with an item.
+   * @param {Item5e} item    The item used to make the attack.
+   * @param {Token5e} target The targeted token.
+   * @returns {AttackModifier[]}
+   */
+  static getConditionModifiers(item, target) {
+    if ( !target?.actor ) return [];
+    const attacker = item.actor?.getActiveTokens()[0];
+    const melee = ["mwak", "msak"].includes(item.system.actionType);
+    const adjacent = canvas.ready && !!attacker && (attacker !== target)
+      && (this.measureDistance(attacker, target) <= canvas.dimensions.distance);
+    return target.actor.getConditionModifiers("defense", { adjacent, melee });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Measure the distance between the nearest edges of two tokens.
+   * @param {Token5e} a
+   * @param {Token5e} b
+   * @returns {number}  Distance in grid units.
+   */
+  static measureDistance(a, b) {
+    const size = canvas.dimensions.size;
+    const gap = (p, q, s1, s2) => Math.max(Math.abs(p - q) - ((s1 + s2) / 2) + size, 0);
+    const origin = { x: 0, y: 0 };
+    const destination = {
+      x: gap(a.center.x, b.center.x, a.w, b.w),
+      y: gap(a.center.y, b.center.y, a.h, b.h)
+    };
+    if ( game.release.generation < 12 ) return canvas.grid.measureDistance(origin, destination, { gridSpaces: true });
+    return canvas.grid.measurePath([origin, destination]).distance;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Measure the cover a target has from an attacker. Lines are traced from the attacker corner that gives the best
+   * view of the target to each corner of the target's space, with walls blocking one or two lines providing half
+   * cover, three lines providing three-quarters cover, and all four providing total cover. Other creatures between
+   * the attacker and the target always provide at least half cover.
+   * @param {Token5e} attacker
+   * @param {Token5e} target
+   * @returns {number}  Amount of cover as defined in `DND5E.cover`.
+   */
+  static measureCover(attacker, target) {
+    const origins = this.#corners(attacker);
+    const destinations = this.#corners(target);
+    const blocked = Math.min(...origins.map(origin => destinations.filter(destination => {
+      return CONFIG.Canvas.polygonBackends.move.testCollision(origin, destination, { type: "move", mode: "any" });
+    }).length));
+    let cover = [0, 0.5, 0.5, 0.75, 1][blocked];
+
+    // Intervening creatures
+    if ( !cover ) {
+      const ray = { a: attacker.center, b: target.center };
+      const intervening = canvas.tokens.placeables.some(token => {
+        if ( [attacker, target].includes(token) || !token.actor || !token.visible ) return false;
+        if ( token.actor.statuses.has(CONFIG.specialStatusEffects.DEFEATED) ) return false;
+        return token.bounds.pad(-token.w / 10, -token.h / 10).lineSegmentIntersects(ray.a, ray.b, { inside: true });
+      });
+      if ( intervening ) cover = 0.5;
+    }
+    return cover;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Is the attacker flanking the target? Both the attacker and a conscious ally must be adjacent to the target with
+   * the line between their centers passing through the target's space.
+   * @param {Token5e} attacker
+   * @param {Token5e} target
+   * @returns {boolean}
+   */
+  static isFlanking(attacker, target) {
+    if ( this.measureDistance(attacker, target) > canvas.dimensions.distance ) return false;
+    return canvas.tokens.placeables.some(ally => {
+      if ( [attacker, target].includes(ally) || !ally.actor ) return false;
+      if ( ally.document.disposition !== attacker.document.disposition ) return false;
+      if ( ally.actor.hasConditionEffect("incapacitated") ) return false;
+      if ( this.measureDistance(ally, target) > canvas.dimensions.distance ) return false;
+      return target.bounds.pad(-1, -1).lineSegmentIntersects(attacker.center, ally.center);
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Points just within each corner of a token's space.
+   * @param {Token5e} token
+   * @returns {Point[]}
+   */
+  static #corners(token) {
+    const { x, y, width, height } = token.bounds.pad(-2, -2);
+    return [{ x, y }, { x: x + width, y }, { x, y: y + height }, { x: x + width, y: y + height }];
+  }
+}
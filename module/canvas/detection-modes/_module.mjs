@@ -1 +1,4 @@
 export * from "./blindsight.mjs";
+export * from "./see-in-magical-darkness.mjs";
+export * from "./tremorsense.mjs";
+export * from "./truesight.mjs";
@@ -51,5 +51,3 @@ export class DetectionModeBlindsight extends DetectionMode {
     );
   }
 }
-
-CONFIG.Canvas.detectionModes.blindsight = new DetectionModeBlindsight();
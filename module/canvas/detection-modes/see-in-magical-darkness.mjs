@@ -0,0 +1,30 @@
+/**
+ * The detection mode for seeing normally in magical and nonmagical darkness, such as granted by Devil's Sight.
+ */
+export class DetectionModeSeeInMagicalDarkness extends DetectionMode {
+  constructor(data={}) {
+    super(foundry.utils.mergeObject({
+      id: "seeInMagicalDarkness",
+      label: "DND5E.SenseSeeInMagicalDarkness",
+      type: DetectionMode.DETECTION_TYPES.SIGHT,
+      walls: true,
+      angle: false
+    }, data));
+  }
+
+  /** @override */
+  _testLOS(visionSource, mode, target, test) {
+    return !CONFIG.Canvas.polygonBackends.sight.testCollision(
+      { x: visionSource.x, y: visionSource.y },
+      test.point,
+      {
+        type: "sight",
+        mode: "any",
+        source: visionSource,
+        useThreshold: true,
+        // Edges created by darkness sources don't obstruct this sense
+        includeDarkness: false
+      }
+    );
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * The detection mode for Tremorsense.
+ */
+export class DetectionModeTremorsense extends DetectionMode {
+  constructor() {
+    super({
+      id: "tremorsense",
+      label: "DND5E.SenseTremorsense",
+      type: DetectionMode.DETECTION_TYPES.MOVE,
+      walls: false,
+      angle: false
+    });
+  }
+
+  /** @override */
+  static getDetectionFilter() {
+    return this._detectionFilter ??= OutlineOverlayFilter.create({
+      outlineColor: [1, 0, 1, 1],
+      knockout: true,
+      wave: true
+    });
+  }
+
+  /** @override */
+  _canDetect(visionSource, target) {
+    // Tremorsense only detects creatures in contact with the same ground as the source
+    if ( !(target instanceof Token) ) return false;
+    const source = visionSource.object.document;
+    const { FLY, HOVER } = CONFIG.specialStatusEffects;
+    if ( [source, target.document].some(t => t.hasStatusEffect(FLY) || t.hasStatusEffect(HOVER)) ) return false;
+    return source.elevation === target.document.elevation;
+  }
+}
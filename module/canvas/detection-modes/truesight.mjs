@@ -0,0 +1,19 @@
+import { DetectionModeSeeInMagicalDarkness } from "./see-in-magical-darkness.mjs";
+
+/**
+ * The detection mode for Truesight.
+ */
+export class DetectionModeTruesight extends DetectionModeSeeInMagicalDarkness {
+  constructor() {
+    super({
+      id: "truesight",
+      label: "DND5E.SenseTruesight"
+    });
+  }
+
+  /** @override */
+  _canDetect(visionSource, target) {
+    // Invisible creatures can be seen, but a blinded source sees nothing
+    return !visionSource.object.document.hasStatusEffect(CONFIG.specialStatusEffects.BLIND);
+  }
+}
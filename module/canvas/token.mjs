@@ -115,6 +115,8 @@ export default class Token5e extends Token {
   /** @inheritDoc */
   _onUpdate(data, options, userId) {
     super._onUpdate(data, options, userId);
+    const moved = ("x" in data) || ("y" in data) || ("elevation" in data);
+    if ( moved && (userId === game.userId) && !options.dnd5e?.mountMovement ) this._moveMountedTokens();
     if ( (game.release.generation >= 12) || !CONFIG.Token.ringClass.enabled ) return;
 
     // Update ring names if necessary
@@ -139,6 +141,23 @@ export default class Token5e extends Token {
 
   /* -------------------------------------------- */
 
+  /**
+   * Move the tokens of this token's mount or rider on the same scene to follow this token.
+   * @returns {Promise<TokenDocument5e[]>|void}
+   * @protected
+   */
+  _moveMountedTokens() {
+    const { actor, parent: scene, x, y, elevation } = this.document;
+    const partners = [actor?.mount, actor?.rider].filter(a => a);
+    if ( !partners.length ) return;
+    const updates = partners.flatMap(a => a.getActiveTokens(false, true))
+      .filter(t => (t.parent === scene) && (t !== this.document) && t.isOwner)
+      .map(t => ({ _id: t.id, x, y, elevation }));
+    if ( updates.length ) return scene.updateEmbeddedDocuments("Token", updates, { dnd5e: { mountMovement: true } });
+  }
+
+  /* -------------------------------------------- */
+
   /** @inheritDoc */
   _refreshShader() {
     if ( (game.release.generation < 12) && CONFIG.Token.ringClass.enabled && this.ring.enabled ) {
@@ -105,6 +105,32 @@ DND5E.abilities = {
 };
 preLocalize("abilities", { keys: ["label", "abbreviation"] });
 
+/**
+ * Methods for generating ability scores during character creation.
+ *
+ * @typedef {object} AbilityGenerationConfiguration
+ * @property {number[]} standardArray        Scores assigned using the standard array.
+ * @property {object} pointBuy
+ * @property {number} pointBuy.budget        Points available to spend.
+ * @property {Record<number, number>} pointBuy.costs  Total cost of each purchasable score.
+ * @property {string} roll                   Formula rolled once for each ability score.
+ */
+
+/**
+ * Configuration for generating ability scores in the character creator.
+ * @type {AbilityGenerationConfiguration}
+ */
+DND5E.abilityGeneration = {
+  standardArray: [15, 14, 13, 12, 10, 8],
+  pointBuy: {
+    budget: 27,
+    costs: { 8: 0, 9: 1, 10: 2, 11: 3, 12: 4, 13: 5, 14: 7, 15: 9 }
+  },
+  roll: "4d6dl"
+};
+
+/* -------------------------------------------- */
+
 /**
  * Configure which ability score is used as the default modifier for initiative rolls,
  * when calculating hit points per level and hit dice, and as the default modifier for
@@ -579,6 +605,28 @@ preLocalize("abilityActivationTypes");
 
 /* -------------------------------------------- */
 
+/**
+ * Activation types that each combatant can spend once per round and regains at the start of its turn.
+ * @enum {{ label: string, icon: string }}
+ */
+DND5E.actionEconomy = {
+  action: {
+    label: "DND5E.Action",
+    icon: "fa-solid fa-circle"
+  },
+  bonus: {
+    label: "DND5E.BonusAction",
+    icon: "fa-solid fa-play"
+  },
+  reaction: {
+    label: "DND5E.Reaction",
+    icon: "fa-solid fa-rotate-left"
+  }
+};
+preLocalize("actionEconomy", { key: "label" });
+
+/* -------------------------------------------- */
+
 /**
  * Different things that an ability can consume upon use.
  * @enum {string}
@@ -1230,6 +1278,24 @@ preLocalize("focusTypes", { key: "label" });
 
 /* -------------------------------------------- */
 
+/**
+ * Items that can be used in place of material components that don't have a cost, alongside spellcasting foci.
+ * @enum {string}
+ */
+DND5E.componentPouchIds = {
+  componentPouch: "eZGmdOhaTWMicXPW"
+};
+
+/* -------------------------------------------- */
+
+/**
+ * Identifiers of spells that allow the caster to identify an item when cast.
+ * @type {string[]}
+ */
+DND5E.identifySpells = ["identify"];
+
+/* -------------------------------------------- */
+
 /**
  * Types of "features" items.
  * @enum {SubtypeTypeConfiguration}
@@ -2000,6 +2066,16 @@ DND5E.senses = {
 };
 preLocalize("senses", { sort: true });
 
+/**
+ * Detection modes automatically added to a token for each of its actor's senses.
+ * @enum {string}
+ */
+DND5E.senseDetectionModes = {
+  blindsight: "blindsight",
+  tremorsense: "tremorsense",
+  truesight: "truesight"
+};
+
 /* -------------------------------------------- */
 /*  Spellcasting                                */
 /* -------------------------------------------- */
@@ -2118,6 +2194,33 @@ DND5E.spellUpcastModes = ["always", "pact", "prepared"];
 
 /* -------------------------------------------- */
 
+/**
+ * Gold and time needed to copy a spell into a spellbook, for each level of the spell being copied.
+ * @type {{ cost: number, time: number }}
+ */
+DND5E.spellbookCopying = {
+  cost: 50,
+  time: 2
+};
+
+/* -------------------------------------------- */
+
+/**
+ * Ways in which a class can cast its spells as rituals.
+ * @enum {{ label: string }}
+ */
+DND5E.ritualCastingModes = {
+  prepared: {
+    label: "DND5E.RitualCasting.Mode.Prepared"
+  },
+  known: {
+    label: "DND5E.RitualCasting.Mode.Known"
+  }
+};
+preLocalize("ritualCastingModes", { key: "label" });
+
+/* -------------------------------------------- */
+
 /**
  * Configuration data for different types of spellcasting supported.
  *
@@ -2544,6 +2647,15 @@ DND5E.cover = {
 };
 preLocalize("cover");
 
+/**
+ * Bonus to armor class and dexterity saving throws granted by each amount of cover.
+ * @enum {number}
+ */
+DND5E.coverBonuses = {
+  .5: 2,
+  .75: 5
+};
+
 /* -------------------------------------------- */
 
 /**
@@ -2720,7 +2832,10 @@ preLocalize("conditionTypes", { key: "label", sort: true });
 
 /**
  * Various effects of conditions and which conditions apply it. Either keys for the conditions,
- * and with a number appended for a level of exhaustion.
+ * and with a number appended for a level of exhaustion. Effects prefixed with `defense` apply to attacks made against
+ * an affected creature, with `defenseProne` granting advantage to attacks from within 5 feet and imposing
+ * disadvantage on those from farther away, and `defenseCritical` turning melee hits from within 5 feet into
+ * critical hits.
  * @enum {object}
  */
 DND5E.conditionEffects = {
@@ -2728,7 +2843,17 @@ DND5E.conditionEffects = {
   halfMovement: new Set(["exhaustion-2"]),
   crawl: new Set(["prone", "exceedingCarryingCapacity"]),
   petrification: new Set(["petrified"]),
-  halfHealth: new Set(["exhaustion-4"])
+  halfHealth: new Set(["exhaustion-4"]),
+  incapacitated: new Set(["dead", "exhaustion-6", "incapacitated", "unconscious"]),
+  abilityCheckDisadvantage: new Set(["frightened", "poisoned"]),
+  attackAdvantage: new Set(["invisible"]),
+  attackDisadvantage: new Set(["blinded", "frightened", "poisoned", "prone", "restrained"]),
+  defenseAdvantage: new Set(["blinded", "paralyzed", "petrified", "restrained", "stunned", "unconscious"]),
+  defenseDisadvantage: new Set(["invisible"]),
+  defenseProne: new Set(["prone"]),
+  defenseCritical: new Set(["paralyzed", "unconscious"]),
+  dexSaveDisadvantage: new Set(["restrained"]),
+  strDexSaveFail: new Set(["paralyzed", "petrified", "stunned", "unconscious"])
 };
 
 /* -------------------------------------------- */
@@ -2878,6 +3003,15 @@ DND5E.CR_EXP_LEVELS = [
   20000, 22000, 25000, 33000, 41000, 50000, 62000, 75000, 90000, 105000, 120000, 135000, 155000
 ];
 
+/**
+ * XP each character can earn over an adventuring day at each character level.
+ * @type {number[]}
+ */
+DND5E.ADVENTURING_DAY_EXP = [
+  300, 600, 1200, 1700, 3500, 4000, 5000, 6000, 7500, 9000, 10500, 11500, 13500, 15000, 18000, 20000, 25000, 27000,
+  30000, 40000
+];
+
 /**
  * @typedef {object} CharacterFlagConfig
  * @property {string} name
@@ -3137,6 +3271,13 @@ DND5E.characterFlags = {
     section: "DND5E.Feats",
     type: Number,
     placeholder: 0
+  },
+  seeInMagicalDarkness: {
+    name: "DND5E.FlagsSeeInMagicalDarkness",
+    hint: "DND5E.FlagsSeeInMagicalDarknessHint",
+    section: "DND5E.Feats",
+    type: Number,
+    placeholder: 0
   }
 };
 preLocalize("characterFlags", { keys: ["name", "hint", "section"] });
@@ -3155,12 +3296,102 @@ DND5E.allowedActorFlags = ["isPolymorphed", "originalActor"].concat(Object.keys(
  */
 DND5E.groupTypes = {
   party: "DND5E.Group.TypeParty",
-  encounter: "DND5E.Group.TypeEncounter"
+  encounter: "DND5E.Group.TypeEncounter",
+  merchant: "DND5E.Group.TypeMerchant"
 };
 preLocalize("groupTypes");
 
 /* -------------------------------------------- */
 
+/**
+ * Configuration for haggling with merchants.
+ *
+ * @typedef {object} HagglingConfiguration
+ * @property {string} skill     Skill used for the haggling check.
+ * @property {number} discount  Fraction by which a successful check improves the price in the customer's favor.
+ */
+
+/**
+ * Haggling with merchant groups.
+ * @type {HagglingConfiguration}
+ */
+DND5E.haggling = {
+  skill: "per",
+  discount: 0.1
+};
+
+/* -------------------------------------------- */
+
+/**
+ * Configuration data for encounter difficulties.
+ *
+ * @typedef {object} EncounterDifficultyConfiguration
+ * @property {string} label          Localized label for the difficulty.
+ * @property {number[]} thresholds   XP threshold per character at each character level, starting with level 1.
+ */
+
+/**
+ * Difficulties against which encounters are rated, in ascending order.
+ * @enum {EncounterDifficultyConfiguration}
+ */
+DND5E.encounterDifficulties = {
+  easy: {
+    label: "DND5E.Group.Difficulty.Easy",
+    thresholds: [
+      25, 50, 75, 125, 250, 300, 350, 450, 550, 600, 800, 1000, 1100, 1250, 1400, 1600, 2000, 2100, 2400, 2800
+    ]
+  },
+  medium: {
+    label: "DND5E.Group.Difficulty.Medium",
+    thresholds: [
+      50, 100, 150, 250, 500, 600, 750, 900, 1100, 1200, 1600, 2000, 2200, 2500, 2800, 3200, 3900, 4200, 4900, 5700
+    ]
+  },
+  hard: {
+    label: "DND5E.Group.Difficulty.Hard",
+    thresholds: [
+      75, 150, 225, 375, 750, 900, 1100, 1400, 1600, 1900, 2400, 3000, 3400, 3800, 4300, 4800, 5900, 6300, 7300, 8500
+    ]
+  },
+  deadly: {
+    label: "DND5E.Group.Difficulty.Deadly",
+    thresholds: [
+      100, 200, 400, 500, 1100, 1400, 1700, 2100, 2400, 2800, 3600, 4500, 5100, 5700, 6400, 7200, 8800, 9500, 10900,
+      12700
+    ]
+  }
+};
+preLocalize("encounterDifficulties", { key: "label" });
+
+/* -------------------------------------------- */
+
+/**
+ * Configuration for the XP multiplier applied to encounters with multiple opponents.
+ *
+ * @typedef {object} EncounterMultiplierConfiguration
+ * @property {number[]} multipliers  Available multipliers in ascending order.
+ * @property {number[]} opponents    Minimum number of opponents required for each multiplier, excluding the first
+ *                                   which is only reached through party size adjustment.
+ * @property {number} smallParty     Parties with fewer characters than this use the next highest multiplier.
+ * @property {number} largeParty     Parties with at least this many characters use the next lowest multiplier.
+ * @property {number} trivial        Opponents worth less than this fraction of the average opponent XP are ignored
+ *                                   when rating an encounter.
+ */
+
+/**
+ * XP multipliers for encounters based on number of opponents and party size.
+ * @type {EncounterMultiplierConfiguration}
+ */
+DND5E.encounterMultipliers = {
+  multipliers: [0.5, 1, 1.5, 2, 2.5, 3, 4, 5],
+  opponents: [1, 2, 3, 7, 11, 15],
+  smallParty: 3,
+  largeParty: 6,
+  trivial: 0.2
+};
+
+/* -------------------------------------------- */
+
 /**
  * Configuration information for advancement types.
  *
@@ -1,10 +1,14 @@
+import CurrencyManager from "../../applications/currency-manager.mjs";
 import TokenPlacement from "../../canvas/token-placement.mjs";
+import { formatNumber } from "../../utils.mjs";
 import { ActorDataModel } from "../abstract.mjs";
 import { FormulaField } from "../fields.mjs";
 import CurrencyTemplate from "../shared/currency.mjs";
 import GroupSystemFlags from "./group-system-flags.mjs";
 
-const { ArrayField, ForeignDocumentField, HTMLField, NumberField, SchemaField, StringField } = foundry.data.fields;
+const {
+  ArrayField, BooleanField, ForeignDocumentField, HTMLField, NumberField, SchemaField, StringField
+} = foundry.data.fields;
 
 /**
  * Metadata associated with members in this group.
@@ -15,6 +19,32 @@ const { ArrayField, ForeignDocumentField, HTMLField, NumberField, SchemaField, S
  * @property {string} [quantity.formula]  Formula used for re-rolling actor quantities in encounters.
  */
 
+/**
+ * Difficulty of an encounter measured against a party.
+ * @typedef {object} EncounterDifficultyData
+ * @property {Actor5e|null} [party]            Party against which the difficulty was calculated.
+ * @property {number} characters               Number of characters in the party.
+ * @property {number} opponents                Number of opponents counted towards the difficulty.
+ * @property {number} xp                       Total XP of the counted opponents.
+ * @property {number} multiplier               Multiplier applied for the number of opponents and party size.
+ * @property {number} adjusted                 XP adjusted by the multiplier, compared against the thresholds.
+ * @property {Record<string, number>} thresholds  Party's XP threshold for each encounter difficulty.
+ * @property {number} daily                    Total XP the party can earn over an adventuring day.
+ * @property {string|null} rating              Highest difficulty the encounter reaches, if any.
+ */
+
+/**
+ * Details of an item being bought or sold by a merchant.
+ * @typedef {object} MerchantTradeData
+ * @property {Actor5e} merchant                    Merchant group trading the item.
+ * @property {Actor5e} customer                    Actor buying the item from or selling it to the merchant.
+ * @property {Item5e} item                         Item being traded.
+ * @property {boolean} selling                     Is the merchant selling the item, rather than buying it?
+ * @property {number} quantity                     Number of the item being traded.
+ * @property {boolean} haggled                     Did the customer successfully haggle over the price?
+ * @property {{value: number, denomination: string}} price  Total price paid for the items.
+ */
+
 /**
  * A data model and API layer which handles the schema and functionality of "group" type Actors in the dnd5e system.
  * @mixes CurrencyTemplate
@@ -33,6 +63,12 @@ const { ArrayField, ForeignDocumentField, HTMLField, NumberField, SchemaField, S
  * @property {object} details
  * @property {object} details.xp
  * @property {number} details.xp.value           XP currently available to be distributed to a party.
+ * @property {object} merchant
+ * @property {number} merchant.sell              Multiplier applied to prices when a merchant sells items.
+ * @property {number} merchant.buy               Multiplier applied to prices when a merchant buys items.
+ * @property {number|null} merchant.haggle       DC of the check to haggle with a merchant, if haggling is allowed.
+ * @property {boolean} merchant.unlimited        Does the merchant have unlimited funds to buy items?
+ * @property {EncounterDifficultyData|null} difficulty  Derived difficulty of an encounter against the primary party.
  *
  * @example Create a new Group
  * const g = new dnd5e.documents.Actor5e({
@@ -74,7 +110,17 @@ export default class GroupActor extends ActorDataModel.mixin(CurrencyTemplate) {
             integer: true, min: 0, label: "DND5E.ExperiencePointsCurrent"
           })
         }, {label: "DND5E.ExperiencePoints"})
-      }, {label: "DND5E.Details"})
+      }, {label: "DND5E.Details"}),
+      merchant: new SchemaField({
+        sell: new NumberField({
+          required: true, nullable: false, min: 0, initial: 1, label: "DND5E.Merchant.Markup.Sell"
+        }),
+        buy: new NumberField({
+          required: true, nullable: false, min: 0, initial: 0.5, label: "DND5E.Merchant.Markup.Buy"
+        }),
+        haggle: new NumberField({integer: true, min: 0, initial: null, label: "DND5E.Merchant.Haggle.DC"}),
+        unlimited: new BooleanField({label: "DND5E.Merchant.Unlimited.Label"})
+      }, {label: "DND5E.Merchant.Label"})
     });
   }
 
@@ -96,6 +142,16 @@ export default class GroupActor extends ActorDataModel.mixin(CurrencyTemplate) {
 
   /* -------------------------------------------- */
 
+  /**
+   * Is this group a merchant that buys and sells items?
+   * @type {boolean}
+   */
+  get isMerchant() {
+    return this.type.value === "merchant";
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Return only the group members that are characters.
    * @type {Actor5e[]}
@@ -170,6 +226,13 @@ export default class GroupActor extends ActorDataModel.mixin(CurrencyTemplate) {
       configurable: true,
       enumerable: false
     });
+    Object.defineProperty(this, "difficulty", {
+      get() {
+        return system.type.value === "encounter" ? system.getDifficulty() : null;
+      },
+      configurable: true,
+      enumerable: false
+    });
   }
 
   /* -------------------------------------------- */
@@ -192,6 +255,113 @@ export default class GroupActor extends ActorDataModel.mixin(CurrencyTemplate) {
 
   /* -------------------------------------------- */
 
+  /**
+   * Buy an item from a customer, paying them a portion of its price.
+   * @param {Item5e} item                        Item owned by the customer that is being sold to this merchant.
+   * @param {object} [options={}]
+   * @param {number} [options.quantity]          Number of the item to buy, if not provided the customer is prompted.
+   * @param {boolean} [options.haggle=false]     Should the customer attempt to haggle over the price?
+   * @returns {Promise<MerchantTradeData|void>}  Details of the completed trade.
+   */
+  async buyFrom(item, options={}) {
+    return this.#trade(item, item.actor, { ...options, selling: false });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Calculate the difficulty of this encounter against a party.
+   * @param {Actor5e} [party]  Party to measure against, defaults to the primary party.
+   * @returns {EncounterDifficultyData}
+   */
+  getDifficulty(party) {
+    party ??= game.settings.get("dnd5e-2014", "primaryParty")?.actor ?? null;
+    const levels = party?.system.playerCharacters?.map(a => a.system.details.level) ?? [];
+    const opponents = this.members
+      .filter(({ actor }) => actor.type === "npc")
+      .map(({ actor, quantity }) => ({ xp: actor.system.details.xp?.value ?? 0, quantity: quantity.value ?? 1 }));
+    return { party, ...GroupActor.calculateDifficulty(opponents, levels) };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Calculate encounter difficulty using the encounter building rules from the Dungeon Master's Guide.
+   * @param {{xp: number, quantity: number}[]} opponents  XP and number of each opponent in the encounter.
+   * @param {number[]} levels                            Levels of each character in the party.
+   * @returns {EncounterDifficultyData}
+   */
+  static calculateDifficulty(opponents, levels) {
+    const { multipliers, opponents: steps, smallParty, largeParty, trivial } = CONFIG.DND5E.encounterMultipliers;
+
+    // Ignore opponents far weaker than the rest of the encounter
+    opponents = opponents.filter(o => o.quantity > 0);
+    const total = opponents.reduce((t, o) => t + o.quantity, 0);
+    const average = opponents.reduce((t, o) => t + (o.xp * o.quantity), 0) / (total || 1);
+    opponents = opponents.filter(o => o.xp >= average * trivial);
+
+    // Apply multiplier for number of opponents, adjusted by party size
+    const count = opponents.reduce((t, o) => t + o.quantity, 0);
+    const xp = opponents.reduce((t, o) => t + (o.xp * o.quantity), 0);
+    let step = steps.filter(s => s <= count).length;
+    if ( levels.length && (levels.length < smallParty) ) step += 1;
+    else if ( levels.length >= largeParty ) step -= 1;
+    const multiplier = count ? multipliers[Math.clamp(step, 0, multipliers.length - 1)] : 1;
+    const adjusted = Math.floor(xp * multiplier);
+
+    // Sum thresholds for the party
+    const forLevel = (table, level) => table[Math.clamp(level, 1, table.length) - 1] ?? 0;
+    const thresholds = {};
+    let rating = null;
+    for ( const [key, { thresholds: table }] of Object.entries(CONFIG.DND5E.encounterDifficulties) ) {
+      thresholds[key] = levels.reduce((t, l) => t + forLevel(table, l), 0);
+      if ( levels.length && adjusted && (adjusted >= thresholds[key]) ) rating = key;
+    }
+    const daily = levels.reduce((t, l) => t + forLevel(CONFIG.DND5E.ADVENTURING_DAY_EXP, l), 0);
+
+    return { characters: levels.length, opponents: count, xp, multiplier, adjusted, thresholds, daily, rating };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Calculate the price at which this merchant will trade an item.
+   * @param {Item5e} item                        Item being traded.
+   * @param {object} [options={}]
+   * @param {number} [options.quantity=1]        Number of the item being traded.
+   * @param {boolean} [options.selling=true]     Is the merchant selling the item, rather than buying it?
+   * @param {boolean} [options.haggled=false]    Did the customer successfully haggle over the price?
+   * @returns {{value: number, denomination: string}}
+   */
+  getTradePrice(item, { quantity=1, selling=true, haggled=false }={}) {
+    const { value=0, denomination="gp" } = item.system.price ?? {};
+    const { discount } = CONFIG.DND5E.haggling;
+    let multiplier = selling ? this.merchant.sell : this.merchant.buy;
+    if ( haggled ) multiplier *= selling ? 1 - discount : 1 + discount;
+    return { value: (value ?? 0) * multiplier * quantity, denomination };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Attempt to haggle with this merchant by rolling a skill check against their haggling DC.
+   * @param {Actor5e} actor            Actor doing the haggling.
+   * @returns {Promise<boolean|null>}  Whether the check succeeded, or `null` if no check was made.
+   */
+  async haggle(actor) {
+    const dc = this.merchant.haggle;
+    const { skill } = CONFIG.DND5E.haggling;
+    if ( !this.isMerchant || (dc === null) || !actor.system.skills?.[skill] ) return null;
+    const roll = await actor.rollSkill(skill, {
+      targetValue: dc,
+      flavor: game.i18n.format("DND5E.Merchant.Haggle.Flavor", { merchant: this.parent.name })
+    });
+    if ( !roll ) return null;
+    return !roll.isAutomaticFailure && (roll.total >= dc);
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Place all members in the group on the current scene.
    */
@@ -261,6 +431,229 @@ export default class GroupActor extends ActorDataModel.mixin(CurrencyTemplate) {
     return this.parent.update({"system.members": membersCollection});
   }
 
+  /* -------------------------------------------- */
+
+  /**
+   * Sell one of this merchant's items to a customer.
+   * @param {Item5e} item                        Item owned by this merchant.
+   * @param {Actor5e} customer                   Actor buying the item.
+   * @param {object} [options={}]
+   * @param {number} [options.quantity]          Number of the item to sell, if not provided the customer is prompted.
+   * @param {boolean} [options.haggle=false]     Should the customer attempt to haggle over the price?
+   * @returns {Promise<MerchantTradeData|void>}  Details of the completed trade.
+   */
+  async sellTo(item, customer, options={}) {
+    return this.#trade(item, customer, { ...options, selling: true });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Trade an item between this merchant and a customer, exchanging currency and moving the item between them.
+   * @param {Item5e} item                          Item being traded.
+   * @param {Actor5e} customer                     Actor trading with the merchant.
+   * @param {object} options
+   * @param {boolean} options.selling              Is the merchant selling the item, rather than buying it?
+   * @param {number} [options.quantity]            Number of the item to trade.
+   * @param {boolean} [options.haggle=false]       Should the customer attempt to haggle over the price?
+   * @returns {Promise<MerchantTradeData|void>}
+   */
+  async #trade(item, customer, { selling, quantity, haggle=false }) {
+    if ( !this.isMerchant || !customer?.isOwner || (customer === this.parent) ) return;
+    if ( !this.parent.isOwner && !game.users.activeGM ) {
+      ui.notifications.warn("DND5E.Merchant.Warning.NoGM", { localize: true });
+      return;
+    }
+
+    // Determine how many to trade and whether to haggle
+    const stock = item.system.quantity ?? 1;
+    if ( quantity === undefined ) {
+      const choice = await this.#promptTrade(item, { selling });
+      if ( !choice ) return;
+      ({ quantity, haggle } = choice);
+    }
+    quantity = Math.clamp(Math.floor(quantity), 1, stock);
+    const haggled = haggle ? (await this.haggle(customer)) === true : false;
+    const trade = {
+      merchant: this.parent, customer, item, selling, quantity, haggled,
+      price: this.getTradePrice(item, { quantity, selling, haggled })
+    };
+
+    /**
+     * A hook event that fires before a merchant trades an item with a customer.
+     * @function dnd5e.preMerchantTrade
+     * @memberof hookEvents
+     * @param {MerchantTradeData} trade  Details of the trade. Price can be modified.
+     * @returns {boolean}                Explicitly return `false` to prevent the trade.
+     */
+    if ( Hooks.call("dnd5e.preMerchantTrade", trade) === false ) return;
+
+    // Exchange currency, with the merchant's currency untouched if their funds are unlimited
+    const { value, denomination } = trade.price;
+    const customerCurrency = selling
+      ? CurrencyManager.spendCurrency(customer.system.currency, value, denomination)
+      : CurrencyManager.receiveCurrency(customer.system.currency, value, denomination);
+    const merchantCurrency = this.#tradeCurrency(trade.price, selling);
+    if ( !customerCurrency || (merchantCurrency === false) ) {
+      ui.notifications.warn(game.i18n.format("DND5E.Merchant.Warning.Funds", {
+        name: (selling ? customer : this.parent).name, price: GroupActor.#formatPrice(trade.price)
+      }));
+      return;
+    }
+
+    // Move the items from one party to the other, leaving the merchant's side to the GM if they aren't owned
+    const { given, taken } = await GroupActor.#prepareTransfer(item, quantity);
+    if ( this.parent.isOwner ) {
+      await GroupActor.applyTrade(this.parent, { currency: merchantCurrency, ...(selling ? given : taken) });
+    } else game.socket.emit("system.dnd5e-2014", {
+      action: "merchantTrade", merchant: this.parent.uuid, item: item.uuid, quantity, selling, haggled
+    });
+    await GroupActor.applyTrade(customer, { currency: customerCurrency, ...(selling ? taken : given) });
+
+    const messageData = {
+      speaker: ChatMessage.getSpeaker({ actor: customer }),
+      content: `<p>${game.i18n.format(`DND5E.Merchant.${selling ? "Purchase" : "Sale"}.Result`, {
+        customer: customer.name, merchant: this.parent.name, item: item.name,
+        quantity: formatNumber(quantity), price: GroupActor.#formatPrice(trade.price)
+      })}${haggled ? ` ${game.i18n.localize("DND5E.Merchant.Haggle.Success")}` : ""}</p>`,
+      "flags.dnd5e-2014.trade": {
+        merchant: this.parent.uuid, item: item.name, selling, quantity, haggled, price: trade.price
+      }
+    };
+    // TODO: Remove when v11 support is dropped.
+    if ( game.release.generation < 12 ) messageData.type = CONST.CHAT_MESSAGE_TYPES.OTHER;
+    ChatMessage.applyRollMode(messageData, game.settings.get("core", "rollMode"));
+    await ChatMessage.implementation.create(messageData);
+
+    /**
+     * A hook event that fires after a merchant has traded an item with a customer.
+     * @function dnd5e.merchantTrade
+     * @memberof hookEvents
+     * @param {MerchantTradeData} trade  Details of the trade.
+     */
+    Hooks.callAll("dnd5e.merchantTrade", trade);
+
+    return trade;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Calculate the currency this merchant will hold after a trade.
+   * @param {{value: number, denomination: string}} price  Price of the trade.
+   * @param {boolean} selling                               Is the merchant selling the item, rather than buying it?
+   * @returns {Record<string, number>|null|false}  The updated currency, `null` if the merchant's funds are unlimited,
+   *                                                or `false` if they cannot afford the trade.
+   */
+  #tradeCurrency({ value, denomination }, selling) {
+    if ( this.merchant.unlimited ) return null;
+    if ( selling ) return CurrencyManager.receiveCurrency(this.currency, value, denomination);
+    return CurrencyManager.spendCurrency(this.currency, value, denomination) ?? false;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Prepare the item changes needed to move an item from one side of a trade to the other.
+   * @param {Item5e} item       Item being traded.
+   * @param {number} quantity   Number of the item being traded.
+   * @returns {Promise<{given: object, taken: object}>}  Changes for the actors giving and receiving the item.
+   */
+  static async #prepareTransfer(item, quantity) {
+    const stock = item.system.quantity ?? 1;
+    const transferred = await Item.implementation.createWithContents([item], {
+      transformFirst: i => {
+        const data = i.toObject();
+        ["attuned", "equipped", "proficient", "prepared"].forEach(k => delete data.system[k]);
+        data.system.quantity = quantity;
+        return data;
+      }
+    });
+    const given = { create: [], update: [], delete: [] };
+    const taken = { create: transferred, update: [], delete: [] };
+    if ( quantity < stock ) given.update.push({ _id: item.id, "system.quantity": stock - quantity });
+    else given.delete.push(item.id);
+    return { given, taken };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Prompt the customer for the number of an item to trade and whether to haggle over its price.
+   * @param {Item5e} item               Item being traded.
+   * @param {object} options
+   * @param {boolean} options.selling   Is the merchant selling the item, rather than buying it?
+   * @returns {Promise<{quantity: number, haggle: boolean}|null>}
+   */
+  async #promptTrade(item, { selling }) {
+    const stock = item.system.quantity ?? 1;
+    const type = selling ? "Purchase" : "Sale";
+    const dc = this.merchant.haggle;
+    const { skill, discount } = CONFIG.DND5E.haggling;
+    const hint = game.i18n.format(`DND5E.Merchant.${type}.Hint`, {
+      merchant: this.parent.name, item: item.name, price: GroupActor.#formatPrice(this.getTradePrice(item, { selling }))
+    });
+    const haggleHint = game.i18n.format("DND5E.Merchant.Haggle.Hint", {
+      dc, skill: CONFIG.DND5E.skills[skill]?.label ?? skill, discount: formatNumber(discount, { style: "percent" })
+    });
+
+    let content = `<form><p>${hint}</p>`;
+    if ( stock > 1 ) content += `<div class="form-group">
+        <label>${game.i18n.localize("DND5E.Quantity")}</label>
+        <div class="form-fields">
+          <input type="number" name="quantity" value="1" min="1" max="${stock}" step="1">
+        </div>
+      </div>`;
+    if ( dc !== null ) content += `<div class="form-group">
+        <label>${game.i18n.localize("DND5E.Merchant.Haggle.Label")}</label>
+        <div class="form-fields"><input type="checkbox" name="haggle"></div>
+        <p class="hint">${haggleHint}</p>
+      </div>`;
+    content += "</form>";
+
+    return Dialog.prompt({
+      title: game.i18n.format(`DND5E.Merchant.${type}.Title`, { item: item.name }),
+      content,
+      label: game.i18n.localize(`DND5E.Merchant.${type}.Confirm`),
+      callback: html => ({
+        quantity: parseInt(html.querySelector('[name="quantity"]')?.value) || 1,
+        haggle: html.querySelector('[name="haggle"]')?.checked ?? false
+      }),
+      rejectClose: false,
+      options: { jQuery: false }
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Format a price for display.
+   * @param {{value: number, denomination: string}} price
+   * @returns {string}
+   */
+  static #formatPrice({ value, denomination }) {
+    const abbreviation = CONFIG.DND5E.currencies[denomination]?.abbreviation ?? denomination;
+    return `${formatNumber(value, { maximumFractionDigits: 2 })} ${abbreviation}`;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Apply one side of a trade to an actor.
+   * @param {Actor5e} actor                               Actor receiving the changes.
+   * @param {object} changes
+   * @param {Record<string, number>|null} changes.currency  Currency held by the actor after the trade.
+   * @param {object[]} changes.create                     Data for items to create.
+   * @param {object[]} changes.update                     Updates to the actor's items.
+   * @param {string[]} changes.delete                     IDs of items to delete along with their contents.
+   */
+  static async applyTrade(actor, { currency, create, update, delete: deleteIds }) {
+    if ( currency ) await actor.update({ "system.currency": currency });
+    if ( create.length ) await actor.createEmbeddedDocuments("Item", create, { keepId: true });
+    if ( update.length ) await actor.updateEmbeddedDocuments("Item", update);
+    if ( deleteIds.length ) await actor.deleteEmbeddedDocuments("Item", deleteIds, { deleteContents: true });
+  }
+
   /* -------------------------------------------- */
   /*  Resting                                     */
   /* -------------------------------------------- */
@@ -301,6 +694,34 @@ export default class GroupActor extends ActorDataModel.mixin(CurrencyTemplate) {
   /*  Socket Event Handlers                       */
   /* -------------------------------------------- */
 
+  /**
+   * Apply the merchant's side of a trade requested by a user who doesn't own the merchant. The price and changes
+   * are recalculated from the merchant's own data rather than trusted from the requesting client.
+   * @param {object} data
+   * @param {string} data.action     Action being requested.
+   * @param {string} data.merchant   UUID of the merchant.
+   * @param {string} data.item       UUID of the item being traded.
+   * @param {number} data.quantity   Number of the item being traded.
+   * @param {boolean} data.selling   Is the merchant selling the item, rather than buying it?
+   * @param {boolean} data.haggled   Did the customer successfully haggle over the price?
+   */
+  static async onSocketMessage({ action, merchant, item, quantity, selling, haggled }) {
+    if ( (action !== "merchantTrade") || (game.user !== game.users.activeGM) ) return;
+    merchant = fromUuidSync(merchant);
+    item = fromUuidSync(item);
+    if ( !(merchant?.system instanceof GroupActor) || !merchant.system.isMerchant || !(item instanceof Item) ) return;
+    if ( !(item.parent instanceof Actor) || ((item.parent === merchant) !== !!selling) ) return;
+
+    quantity = Math.clamp(Math.floor(quantity) || 1, 1, item.system.quantity ?? 1);
+    const price = merchant.system.getTradePrice(item, { quantity, selling: !!selling, haggled: !!haggled });
+    const currency = merchant.system.#tradeCurrency(price, !!selling);
+    if ( currency === false ) return;
+    const { given, taken } = await GroupActor.#prepareTransfer(item, quantity);
+    await GroupActor.applyTrade(merchant, { currency, ...(selling ? given : taken) });
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * If type has been set to something other than "party" and this is currently the primary party, remove that setting.
    * @param {object} changed   The differential data that was changed relative to the documents prior values
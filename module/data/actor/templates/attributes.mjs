@@ -60,6 +60,7 @@ export default class AttributesFields {
    * @property {number} concentration.roll.min  The minimum the d20 can roll.
    * @property {number} concentration.roll.max  The maximum the d20 can roll.
    * @property {number} concentration.roll.mode The default advantage mode for this actor's concentration saving throws.
+   * @property {string} mount                   UUID of the creature this actor is riding.
    */
   static get creature() {
     return {
@@ -81,7 +82,8 @@ export default class AttributesFields {
           save: new FormulaField({required: true, label: "DND5E.SaveBonus"})
         }),
         limit: new foundry.data.fields.NumberField({integer: true, min: 0, initial: 1, label: "DND5E.AttrConcentration.Limit"})
-      }, {label: "DND5E.Concentration"})
+      }, {label: "DND5E.Concentration"}),
+      mount: new foundry.data.fields.StringField({required: true, blank: true, label: "DND5E.Mount.Label"})
     };
   }
 
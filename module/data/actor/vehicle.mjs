@@ -1,3 +1,4 @@
+import { formatNumber } from "../../utils.mjs";
 import { FormulaField } from "../fields.mjs";
 import SourceField from "../shared/source-field.mjs";
 import AttributesFields from "./templates/attributes.mjs";
@@ -30,6 +31,8 @@ import TraitsFields from "./templates/traits.mjs";
  * @property {number} attributes.actions.thresholds.2  Minimum crew needed to take full action complement.
  * @property {number} attributes.actions.thresholds.1  Minimum crew needed to take reduced action complement.
  * @property {number} attributes.actions.thresholds.0  Minimum crew needed to perform any actions.
+ * @property {number} attributes.actions.crew          Number of crew currently able to operate the vehicle.
+ * @property {number} attributes.actions.available     Number of actions available based on the crew thresholds.
  * @property {object} attributes.capacity              Information on the vehicle's carrying capacity.
  * @property {string} attributes.capacity.creature     Description of the number of creatures the vehicle can carry.
  * @property {number} attributes.capacity.cargo        Cargo carrying capacity measured in tons.
@@ -165,6 +168,125 @@ export default class VehicleData extends CommonTemplate {
       (item.flags?.["dnd5e-2014"]?.vehicleCargo === true) || !["weapon", "equipment"].includes(item.type)
     });
     AttributesFields.prepareHitPoints.call(this, this.attributes.hp);
+
+    // Crew state depends on linked actors which may not be prepared yet, so it is evaluated lazily
+    const actions = this.attributes.actions;
+    Object.defineProperty(actions, "crew", {
+      get: () => this.cargo.crew.reduce((count, entry) => count + VehicleData.countAbleCrew(entry), 0),
+      configurable: true,
+      enumerable: false
+    });
+    Object.defineProperty(actions, "available", {
+      get: () => this.getAvailableActions(actions.crew),
+      configurable: true,
+      enumerable: false
+    });
+  }
+
+  /* -------------------------------------------- */
+  /*  Crew & Stations                             */
+  /* -------------------------------------------- */
+
+  /**
+   * Number of creatures represented by a crew or passenger entry that are able to act. Linked actors count as a
+   * single creature who must be conscious and have hit points remaining.
+   * @param {PassengerData} entry  The crew or passenger entry.
+   * @returns {number}
+   */
+  static countAbleCrew(entry) {
+    const actor = entry.actor;
+    if ( !actor ) return entry.quantity;
+    const hp = actor.system.attributes?.hp;
+    if ( (hp?.max && !hp.value) || actor.hasConditionEffect("incapacitated") ) return 0;
+    return 1;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Determine how many actions the vehicle can take with a certain number of able crew members.
+   * @param {number} [crew]  Able crew members, defaults to the vehicle's current crew.
+   * @returns {number}
+   */
+  getAvailableActions(crew) {
+    const { value, thresholds } = this.attributes.actions;
+    crew ??= this.attributes.actions.crew;
+    for ( const tier of [2, 1, 0] ) {
+      if ( !Number.isFinite(thresholds[tier]) || (crew < thresholds[tier]) ) continue;
+      return Math.max(value - (2 - tier), Math.min(value, 1));
+    }
+    return Object.values(thresholds).some(t => Number.isFinite(t)) ? 0 : value;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the linked actor assigned to operate a station.
+   * @param {string} itemId  ID of the station's item on the vehicle.
+   * @returns {Actor5e|null}
+   */
+  getStationCrew(itemId) {
+    const entry = this.cargo.crew.find(c => c.actor && (c.station === itemId));
+    return entry?.actor ?? null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Description of a vehicle station and whether it can be used this round.
+   *
+   * @typedef {object} VehicleStationData
+   * @property {Item5e} item               The item representing the station.
+   * @property {PassengerData[]} crew      Crew entries assigned to this station.
+   * @property {boolean} canAct            Can the station act this round?
+   */
+
+  /**
+   * Determine which of this vehicle's stations can act this round. If the vehicle uses action stations, each station
+   * requires at least one able crew member assigned to it, otherwise all stations can act as long as the crew
+   * thresholds provide the vehicle with at least one action.
+   * @returns {VehicleStationData[]}
+   */
+  getStations() {
+    const available = this.attributes.actions.available;
+    return this.parent.items.reduce((arr, item) => {
+      const isAction = (item.type === "feat") && (item.system.activation?.type === "crew");
+      const isMounted = ["equipment", "weapon"].includes(item.type) && !item.getFlag("dnd5e-2014", "vehicleCargo")
+        && item.system.activation?.type;
+      if ( !isAction && !isMounted ) return arr;
+      const crew = this.cargo.crew.filter(c => c.station === item.id);
+      const canAct = this.attributes.actions.stations
+        ? crew.some(c => VehicleData.countAbleCrew(c) > 0) : available > 0;
+      arr.push({ item, crew, canAct });
+      return arr;
+    }, []);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Post a chat message summarizing the actions and stations available to this vehicle this round.
+   * @param {object} [messageData={}]  Additional data merged into the created message.
+   * @returns {Promise<ChatMessage5e>}
+   */
+  async createTurnMessage(messageData={}) {
+    const { available, crew, stations } = this.attributes.actions;
+    const content = await renderTemplate("systems/dnd5e-2014/templates/chat/vehicle-turn.hbs", {
+      stations: this.getStations().map(s => ({
+        ...s, crew: s.crew.map(c => c.actor?.name ?? c.name).filter(n => n).join(", ")
+      })),
+      summary: stations ? null : game.i18n.format("DND5E.VehicleTurn.Actions", {
+        actions: available, crew: formatNumber(crew)
+      })
+    });
+    const chatData = foundry.utils.mergeObject({
+      content,
+      flavor: game.i18n.localize("DND5E.VehicleTurn.Title"),
+      speaker: ChatMessage.getSpeaker({ actor: this.parent })
+    }, messageData);
+    // TODO: Remove when v11 support is dropped.
+    if ( game.release.generation < 12 ) chatData.type = CONST.CHAT_MESSAGE_TYPES.OTHER;
+    return ChatMessage.implementation.create(chatData);
   }
 }
 
@@ -174,8 +296,10 @@ export default class VehicleData extends CommonTemplate {
  * Data structure for an entry in a vehicle's crew or passenger lists.
  *
  * @typedef {object} PassengerData
- * @property {string} name      Name of individual or type of creature.
- * @property {number} quantity  How many of this creature are onboard?
+ * @property {string} name            Name of individual or type of creature.
+ * @property {number} quantity        How many of this creature are onboard?
+ * @property {Actor5e|null} actor     Actor linked to this entry, if any.
+ * @property {string} station         ID of the item on the vehicle this creature is operating.
  */
 
 /**
@@ -188,6 +312,10 @@ function makePassengerData(schemaOptions={}) {
     name: new foundry.data.fields.StringField({required: true, label: "DND5E.VehiclePassengerName"}),
     quantity: new foundry.data.fields.NumberField({
       required: true, nullable: false, integer: true, initial: 0, min: 0, label: "DND5E.VehiclePassengerQuantity"
-    })
+    }),
+    actor: new foundry.data.fields.ForeignDocumentField(foundry.documents.BaseActor, {
+      label: "DND5E.VehiclePassengerActor"
+    }),
+    station: new foundry.data.fields.StringField({required: true, label: "DND5E.VehicleStation"})
   }, schemaOptions);
 }
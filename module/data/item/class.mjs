@@ -1,10 +1,10 @@
 import TraitAdvancement from "../../documents/advancement/trait.mjs";
 import { ItemDataModel } from "../abstract.mjs";
-import { AdvancementField, FormulaField, IdentifierField } from "../fields.mjs";
+import { AdvancementField, FormulaField, IdentifierField, MappingField } from "../fields.mjs";
 import ItemDescriptionTemplate from "./templates/item-description.mjs";
 import StartingEquipmentTemplate from "./templates/starting-equipment.mjs";
 
-const { ArrayField, NumberField, SchemaField, StringField } = foundry.data.fields;
+const { ArrayField, BooleanField, NumberField, SchemaField, SetField, StringField } = foundry.data.fields;
 
 /**
  * Data definition for Class items.
@@ -19,7 +19,24 @@ const { ArrayField, NumberField, SchemaField, StringField } = foundry.data.field
  * @property {object} spellcasting      Details on class's spellcasting ability.
  * @property {string} spellcasting.progression  Spell progression granted by class as from `DND5E.spellProgression`.
  * @property {string} spellcasting.ability      Ability score to use for spellcasting.
+ * @property {object} spellcasting.preparation
+ * @property {string} spellcasting.preparation.formula  Formula for the number of spells that can be prepared.
+ * @property {boolean} spellcasting.spellbook   Does this class learn spells by copying them into a spellbook?
+ * @property {string} spellcasting.ritual       How this class can cast rituals as defined in
+ *                                               `DND5E.ritualCastingModes`, or blank if it can't.
+ * @property {object} spellcasting.known
+ * @property {string} spellcasting.known.scale  Identifier of the scale value on this class that determines the
+ *                                               number of leveled spells that can be known.
  * @property {string} wealth            Formula used to determine starting wealth.
+ * @property {object} multiclass        Rules for taking this class after a character's first class.
+ * @property {object} multiclass.prerequisites
+ * @property {Record<string, number>} multiclass.prerequisites.abilities  Minimum scores keyed by ability.
+ * @property {string} multiclass.prerequisites.mode  Whether "all" or "any" of the ability minimums must be met.
+ * @property {object} multiclass.proficiencies
+ * @property {Set<string>} multiclass.proficiencies.grants  Trait keys granted in place of the first level
+ *                                                           proficiencies when multiclassing into this class.
+ * @property {number} multiclass.proficiencies.skills       Number of skills that can be chosen from the class's
+ *                                                           skill list when multiclassing into this class.
  */
 export default class ClassData extends ItemDataModel.mixin(ItemDescriptionTemplate, StartingEquipmentTemplate) {
   /** @inheritdoc */
@@ -41,9 +58,32 @@ export default class ClassData extends ItemDataModel.mixin(ItemDescriptionTempla
         progression: new StringField({
           required: true, initial: "none", blank: false, label: "DND5E.SpellProgression"
         }),
-        ability: new StringField({required: true, label: "DND5E.SpellAbility"})
+        ability: new StringField({required: true, label: "DND5E.SpellAbility"}),
+        preparation: new SchemaField({
+          formula: new FormulaField({deterministic: true, label: "DND5E.SpellPreparation.Formula"})
+        }),
+        spellbook: new BooleanField({label: "DND5E.SpellLearning.Spellbook"}),
+        ritual: new StringField({label: "DND5E.RitualCasting.Label"}),
+        known: new SchemaField({
+          scale: new IdentifierField({label: "DND5E.SpellsKnown.Scale"})
+        })
       }, {label: "DND5E.Spellcasting"}),
-      wealth: new FormulaField({label: "DND5E.StartingEquipment.Wealth.Label"})
+      wealth: new FormulaField({label: "DND5E.StartingEquipment.Wealth.Label"}),
+      multiclass: new SchemaField({
+        prerequisites: new SchemaField({
+          abilities: new MappingField(new NumberField({integer: true, min: 0})),
+          mode: new StringField({
+            required: true, initial: "all", choices: ["all", "any"], label: "DND5E.Multiclass.Prerequisites.Mode"
+          })
+        }),
+        proficiencies: new SchemaField({
+          grants: new SetField(new StringField(), {label: "DND5E.Multiclass.Proficiencies.Grants"}),
+          skills: new NumberField({
+            required: true, nullable: false, integer: true, min: 0, initial: 0,
+            label: "DND5E.Multiclass.Proficiencies.Skills"
+          })
+        })
+      }, {label: "DND5E.Multiclass.Label"})
     });
   }
 
@@ -77,6 +117,39 @@ export default class ClassData extends ItemDataModel.mixin(ItemDescriptionTempla
     return context;
   }
 
+  /* -------------------------------------------- */
+  /*  Helpers                                     */
+  /* -------------------------------------------- */
+
+  /**
+   * Spells on the actor that were learned through this class. Spells without a source class are included if this is
+   * the actor's only spellcasting class.
+   * @type {Item5e[]}
+   */
+  get spells() {
+    const actor = this.parent.actor;
+    if ( !actor ) return [];
+    const identifier = this.parent.identifier;
+    const isOnlyCaster = Object.keys(actor.spellcastingClasses).every(k => k === identifier);
+    return actor.itemTypes.spell.filter(s => {
+      return (s.system.sourceClass === identifier) || (!s.system.sourceClass && isOnlyCaster);
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Determine which of this class's multiclass ability prerequisites an actor fails to meet.
+   * @param {Actor5e} actor  Actor being checked.
+   * @returns {string[]}     Descriptions of each unmet prerequisite, empty if all are met.
+   */
+  getUnmetPrerequisites(actor) {
+    const requirements = Object.entries(this.multiclass.prerequisites.abilities).filter(([, v]) => v);
+    const unmet = requirements.filter(([k, v]) => (actor.system.abilities?.[k]?.value ?? 0) < v);
+    if ( (this.multiclass.prerequisites.mode === "any") && (unmet.length < requirements.length) ) return [];
+    return unmet.map(([k, v]) => `${CONFIG.DND5E.abilities[k]?.label ?? k} ${v}`);
+  }
+
   /* -------------------------------------------- */
   /*  Migrations                                  */
   /* -------------------------------------------- */
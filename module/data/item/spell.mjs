@@ -1,3 +1,4 @@
+import { getBaseItemUUID } from "../../documents/actor/trait.mjs";
 import { filteredKeys } from "../../utils.mjs";
 import { ItemDataModel } from "../abstract.mjs";
 import { FormulaField } from "../fields.mjs";
@@ -55,7 +56,7 @@ export default class SpellData extends ItemDataModel.mixin(
           required: true, initial: "prepared", label: "DND5E.SpellPreparationMode"
         }),
         prepared: new foundry.data.fields.BooleanField({required: true, label: "DND5E.SpellPrepared"})
-      }, {label: "DND5E.SpellPreparation"}),
+      }, {label: "DND5E.SpellPreparation.Label"}),
       scaling: new foundry.data.fields.SchemaField({
         mode: new foundry.data.fields.StringField({required: true, initial: "none", label: "DND5E.ScalingMode"}),
         formula: new FormulaField({required: true, nullable: true, initial: null, label: "DND5E.ScalingFormula"})
@@ -204,4 +205,75 @@ export default class SpellData extends ItemDataModel.mixin(
   get proficiencyMultiplier() {
     return 1;
   }
+
+  /* -------------------------------------------- */
+  /*  Helpers                                     */
+  /* -------------------------------------------- */
+
+  /**
+   * Details on how the material components for a spell will be provided when it is cast.
+   *
+   * @typedef {object} MaterialComponentsData
+   * @property {boolean} costly       Do the components have a cost, preventing a focus from being used instead?
+   * @property {boolean} consumed     Are the components consumed when the spell is cast?
+   * @property {string|null} source   How the components are provided, either "supply", "item", or "focus", or `null`
+   *                                  if they are missing.
+   * @property {Item5e|null} item     Inventory item providing the components or acting as a focus, if any.
+   */
+
+  /**
+   * Determine how this spell's material components will be provided. Components are taken from the spell's own supply
+   * first, then from a matching consumable or loot item in the inventory. Components without a cost can instead be
+   * provided by a spellcasting focus or component pouch.
+   * @returns {MaterialComponentsData|null}  `null` if the spell doesn't require material components.
+   */
+  getMaterialComponents() {
+    if ( !this.properties.has("material") ) return null;
+    const { consumed, cost, supply } = this.materials;
+    const components = { costly: cost > 0, consumed, source: null, item: null };
+    if ( supply > 0 ) components.source = "supply";
+    else if ( (components.item = this._getComponentItem()) ) components.source = "item";
+    else if ( !components.costly && (components.item = this._getSpellcastingFocus()) ) components.source = "focus";
+    return components;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Find an inventory item whose name matches the description of this spell's material components.
+   * @returns {Item5e|null}
+   * @protected
+   */
+  _getComponentItem() {
+    const actor = this.parent.actor;
+    const description = this.materials.value?.toLowerCase();
+    if ( !actor || !description ) return null;
+    return actor.items.find(i => {
+      if ( !["consumable", "loot"].includes(i.type) || !(i.system.quantity > 0) ) return false;
+      return description.includes(i.name.toLowerCase());
+    }) ?? null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Find a spellcasting focus or component pouch in the inventory.
+   * @returns {Item5e|null}
+   * @protected
+   */
+  _getSpellcastingFocus() {
+    const actor = this.parent.actor;
+    if ( !actor ) return null;
+    const focus = actor.items.find(i => i.system.properties?.has("foc"));
+    if ( focus ) return focus;
+    const ids = [
+      ...Object.values(CONFIG.DND5E.focusTypes).flatMap(f => Object.values(f.itemIds)),
+      ...Object.values(CONFIG.DND5E.componentPouchIds)
+    ];
+    for ( const id of ids ) {
+      const item = actor.sourcedItems?.get(getBaseItemUUID(id));
+      if ( item ) return item;
+    }
+    return null;
+  }
 }
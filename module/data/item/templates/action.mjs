@@ -278,7 +278,9 @@ export default class ActionTemplate extends ItemDataModel {
     const data = super.getRollData(options);
     const key = this.abilityMod;
     if ( data && key && ("abilities" in data) ) {
-      const ability = data.abilities[key];
+      // Vehicle stations use the ability modifier of the crew member operating them
+      const crew = this.parent.actor?.system.getStationCrew?.(this.parent.id);
+      const ability = (crew?.system.abilities ?? data.abilities)[key];
       data.mod = ability?.mod ?? 0;
     }
     return data;
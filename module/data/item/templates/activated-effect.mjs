@@ -2,7 +2,7 @@ import { replaceFormulaData } from "../../../utils.mjs";
 import SystemDataModel from "../../abstract.mjs";
 import { FormulaField } from "../../fields.mjs";
 
-const { BooleanField, NumberField, SchemaField, StringField } = foundry.data.fields;
+const { BooleanField, ColorField, NumberField, SchemaField, SetField, StringField } = foundry.data.fields;
 
 /**
  * Data model template for items that can be used as some sort of action.
@@ -14,6 +14,11 @@ const { BooleanField, NumberField, SchemaField, StringField } = foundry.data.fie
  * @property {object} duration              Effect's duration.
  * @property {number} duration.value        How long the effect lasts.
  * @property {string} duration.units        Time duration period as defined in `DND5E.timePeriods`.
+ * @property {object} light                 Light emitted by the wielder's token while equipped or after use.
+ * @property {number} light.bright          Radius of bright light.
+ * @property {number} light.dim             Radius of dim light.
+ * @property {string} light.color           Color of the emitted light.
+ * @property {string} light.animation       Light animation type as defined in `CONFIG.Canvas.lightAnimations`.
  * @property {number} cover                 Amount of cover does this item affords to its crew on a vehicle.
  * @property {object} target                Effect's valid targets.
  * @property {string} target.value          Length or radius of target depending on targeting mode selected.
@@ -21,6 +26,15 @@ const { BooleanField, NumberField, SchemaField, StringField } = foundry.data.fie
  * @property {string} target.units          Units used for value and width as defined in `DND5E.distanceUnits`.
  * @property {string} target.type           Targeting mode as defined in `DND5E.targetTypes`.
  * @property {boolean} target.prompt        Should the player be prompted to place the template?
+ * @property {object} target.zone           Lingering effects on creatures within the area's template.
+ * @property {object} target.zone.save      Saving throw made by creatures affected by the zone.
+ * @property {string} target.zone.save.ability   Ability used for the saving throw.
+ * @property {number} target.zone.save.dc        Saving throw DC, uses the item's save DC if not set.
+ * @property {object} target.zone.damage    Damage dealt to creatures affected by the zone.
+ * @property {string} target.zone.damage.formula  Formula for the damage.
+ * @property {string} target.zone.damage.type     Damage or healing type as defined in `DND5E.damageTypes` or
+ *                                                `DND5E.healingTypes`.
+ * @property {Set<string>} target.zone.conditions  Conditions applied to creatures affected by the zone.
  * @property {object} range                 Effect's range.
  * @property {number} range.value           Regular targeting distance for item's effect.
  * @property {number} range.long            Maximum targeting distance for features that have a separate long range.
@@ -48,6 +62,12 @@ export default class ActivatedEffectTemplate extends SystemDataModel {
         value: new FormulaField({required: true, deterministic: true, label: "DND5E.Duration"}),
         units: new StringField({required: true, blank: true, label: "DND5E.DurationType"})
       }, {label: "DND5E.Duration"}),
+      light: new SchemaField({
+        bright: new NumberField({required: true, min: 0, label: "DND5E.Light.Bright"}),
+        dim: new NumberField({required: true, min: 0, label: "DND5E.Light.Dim"}),
+        color: new ColorField({label: "DND5E.Light.Color"}),
+        animation: new StringField({required: true, blank: true, label: "DND5E.Light.Animation"})
+      }, {label: "DND5E.Light.Label"}),
       cover: new NumberField({
         required: true, nullable: true, min: 0, max: 1, label: "DND5E.Cover"
       }),
@@ -57,7 +77,18 @@ export default class ActivatedEffectTemplate extends SystemDataModel {
         width: new NumberField({required: true, min: 0, label: "DND5E.TargetWidth"}),
         units: new StringField({required: true, blank: true, label: "DND5E.TargetUnits"}),
         type: new StringField({required: true, blank: true, label: "DND5E.TargetType"}),
-        prompt: new BooleanField({initial: true, label: "DND5E.TemplatePrompt"})
+        prompt: new BooleanField({initial: true, label: "DND5E.TemplatePrompt"}),
+        zone: new SchemaField({
+          save: new SchemaField({
+            ability: new StringField({required: true, blank: true, label: "DND5E.Zone.Save.Label"}),
+            dc: new NumberField({required: true, min: 0, integer: true, label: "DND5E.AbbreviationDC"})
+          }),
+          damage: new SchemaField({
+            formula: new FormulaField({required: true, label: "DND5E.Zone.Damage.Label"}),
+            type: new StringField({required: true, blank: true, label: "DND5E.DamageType"})
+          }),
+          conditions: new SetField(new StringField(), {label: "DND5E.Zone.Conditions"})
+        }, {label: "DND5E.Zone.Label"})
       }, {label: "DND5E.Target"}),
       range: new SchemaField({
         value: new NumberField({required: true, min: 0, label: "DND5E.RangeNormal"}),
@@ -326,6 +357,27 @@ export default class ActivatedEffectTemplate extends SystemDataModel {
 
   /* -------------------------------------------- */
 
+  /**
+   * Does the Item's area create a zone that affects creatures within it?
+   * @type {boolean}
+   */
+  get hasZone() {
+    const { save, damage, conditions } = this.target.zone;
+    return this.hasAreaTarget && !!(save.ability || damage.formula || conditions.size);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Does the Item emit light from its wielder's token?
+   * @type {boolean}
+   */
+  get hasLight() {
+    return !!(this.light.bright || this.light.dim);
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Does the Item target one or more distinct targets?
    * @type {boolean}
@@ -1,7 +1,7 @@
 import * as Trait from "../../../documents/actor/trait.mjs";
 import SystemDataModel from "../../abstract.mjs";
 
-const { BooleanField, SchemaField, StringField, HTMLField } = foundry.data.fields;
+const { BooleanField, FilePathField, SchemaField, StringField, HTMLField } = foundry.data.fields;
 
 /**
  * Data model template for items that can be identified.
@@ -10,6 +10,7 @@ const { BooleanField, SchemaField, StringField, HTMLField } = foundry.data.field
  * @property {object} unidentified
  * @property {string} unidentified.name         Name of the item when it is unidentified.
  * @property {string} unidentified.description  Description displayed if item is unidentified.
+ * @property {string} unidentified.img          Image displayed in place of the item's image if it is unidentified.
  * @mixin
  */
 export default class IdentifiableTemplate extends SystemDataModel {
@@ -19,7 +20,8 @@ export default class IdentifiableTemplate extends SystemDataModel {
       identified: new BooleanField({required: true, initial: true, label: "DND5E.Identified"}),
       unidentified: new SchemaField({
         name: new StringField({label: "DND5E.NameUnidentified"}),
-        description: new HTMLField({label: "DND5E.DescriptionUnidentified"})
+        description: new HTMLField({label: "DND5E.DescriptionUnidentified"}),
+        img: new FilePathField({categories: ["IMAGE"], label: "DND5E.ImageUnidentified"})
       })
     };
   }
@@ -54,9 +56,9 @@ export default class IdentifiableTemplate extends SystemDataModel {
 
   /** @inheritdoc */
   prepareDerivedData() {
-    if ( !this.identified && this.unidentified.name ) {
-      this.parent.name = this.unidentified.name;
-    }
+    if ( this.identified ) return;
+    if ( this.unidentified.name ) this.parent.name = this.unidentified.name;
+    if ( this.unidentified.img ) this.parent.img = this.unidentified.img;
   }
 
   /* -------------------------------------------- */
@@ -194,7 +194,7 @@ export default class WeaponData extends ItemDataModel.mixin(
    */
   get proficiencyMultiplier() {
     if ( Number.isFinite(this.proficient) ) return this.proficient;
-    const actor = this.parent.actor;
+    const actor = this.parent.actor?.system.getStationCrew?.(this.parent.id) ?? this.parent.actor;
     if ( !actor ) return 0;
     if ( actor.type === "npc" ) return 1; // NPCs are always considered proficient with any weapon in their stat block.
     const config = CONFIG.DND5E.weaponProficienciesMap;
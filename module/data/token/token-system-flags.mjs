@@ -20,6 +20,7 @@ const {
  * A custom model to validate system flags on Token Documents.
  *
  * @property {boolean} isPolymorphed        Is the actor represented by this token transformed?
+ * @property {boolean} linkSenses           Should the token's vision be derived from its actor's senses?
  * @property {string} originalActor         Original actor before transformation.
  * @property {object} previousActorData     Actor data from before transformation for unlinked tokens.
  * @property {TokenRingFlagData} tokenRing
@@ -29,6 +30,10 @@ export default class TokenSystemFlags extends foundry.abstract.DataModel {
   static defineSchema() {
     return {
       isPolymorphed: new BooleanField({required: false, initial: undefined}),
+      linkSenses: new BooleanField({
+        required: false, initial: undefined, label: "DND5E.TokenVision.LinkSenses.Label",
+        hint: "DND5E.TokenVision.LinkSenses.Hint"
+      }),
       originalActor: new ForeignDocumentField(foundry.documents.BaseActor, {
         required: false, initial: undefined, idOnly: true
       }),
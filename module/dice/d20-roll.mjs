@@ -12,6 +12,8 @@
  * @param {boolean} [options.elvenAccuracy=false]      Allow Elven Accuracy to modify this roll?
  * @param {boolean} [options.halflingLucky=false]      Allow Halfling Luck to modify this roll?
  * @param {boolean} [options.reliableTalent=false]     Allow Reliable Talent to modify this roll?
+ * @param {AttackModifier[]} [options.attackModifiers] Situational modifiers from the attacker's position relative to
+ *                                                     its target or from conditions affecting either creature.
  */
 export default class D20Roll extends Roll {
   constructor(formula, data, options) {
@@ -41,14 +43,26 @@ export default class D20Roll extends Roll {
    * @param {boolean} [options.advantage]                         Is something granting this roll advantage?
    * @param {boolean} [options.disadvantage]                      Is something granting this roll disadvantage?
    * @param {boolean} [options.fastForward]                       Should the roll dialog be skipped?
+   * @param {AttackModifier[]} [options.modifiers]                Situational modifiers, such as those from
+   *                                                              conditions, whose advantage or disadvantage is
+   *                                                              combined with the mode chosen above if enabled.
    * @returns {{advantageMode: D20Roll.ADV_MODE, isFF: boolean}}  Whether the roll is fast-forwarded, and its advantage
    *                                                              mode.
    */
-  static determineAdvantageMode({event, advantage=false, disadvantage=false, fastForward}={}) {
+  static determineAdvantageMode({event, advantage=false, disadvantage=false, fastForward, modifiers=[]}={}) {
     const isFF = fastForward ?? (event?.shiftKey || event?.altKey || event?.ctrlKey || event?.metaKey);
     let advantageMode = this.ADV_MODE.NORMAL;
     if ( advantage || event?.altKey ) advantageMode = this.ADV_MODE.ADVANTAGE;
     else if ( disadvantage || event?.ctrlKey || event?.metaKey ) advantageMode = this.ADV_MODE.DISADVANTAGE;
+
+    // Advantage and disadvantage from any source cancel each other out
+    const enabled = (modifiers ?? []).filter(m => m.enabled);
+    if ( enabled.length ) {
+      const adv = (advantageMode === this.ADV_MODE.ADVANTAGE) || enabled.some(m => m.advantage);
+      const dis = (advantageMode === this.ADV_MODE.DISADVANTAGE) || enabled.some(m => m.disadvantage);
+      if ( adv === dis ) advantageMode = this.ADV_MODE.NORMAL;
+      else advantageMode = adv ? this.ADV_MODE.ADVANTAGE : this.ADV_MODE.DISADVANTAGE;
+    }
     return {isFF: !!isFF, advantageMode};
   }
 
@@ -105,13 +119,36 @@ export default class D20Roll extends Roll {
   /* -------------------------------------------- */
 
   /**
-   * Is this roll a critical success? Returns undefined if roll isn't evaluated.
+   * Total bonus to the target's armor class from enabled situational attack modifiers.
+   * @type {number}
+   */
+  get attackTargetBonus() {
+    return (this.options.attackModifiers ?? []).reduce((total, m) => total + (m.enabled ? m.targetBonus ?? 0 : 0), 0);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Does an enabled situational modifier cause this roll to fail automatically?
+   * @type {boolean}
+   */
+  get isAutomaticFailure() {
+    return (this.options.attackModifiers ?? []).some(m => m.enabled && m.fail);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Is this roll a critical success? Returns undefined if roll isn't evaluated. A roll that hits its target value is
+   * also considered critical if an enabled situational modifier turns hits into critical hits.
    * @type {boolean|void}
    */
   get isCritical() {
     if ( !this.validD20Roll || !this._evaluated ) return undefined;
-    if ( !Number.isNumeric(this.options.critical) ) return false;
-    return this.dice[0].total >= this.options.critical;
+    if ( Number.isNumeric(this.options.critical) && (this.dice[0].total >= this.options.critical) ) return true;
+    const critical = (this.options.attackModifiers ?? []).some(m => m.enabled && m.critical);
+    if ( !critical || this.isFumble || this.isAutomaticFailure ) return false;
+    return !Number.isNumeric(this.options.targetValue) || (this.total >= this.options.targetValue);
   }
 
   /* -------------------------------------------- */
@@ -139,6 +176,8 @@ export default class D20Roll extends Roll {
 
     const d20 = this.terms[0];
     d20.modifiers = [];
+    delete d20.options.advantage;
+    delete d20.options.disadvantage;
 
     // Halfling Lucky
     if ( this.options.halflingLucky ) d20.modifiers.push("r1=1");
@@ -173,6 +212,21 @@ export default class D20Roll extends Roll {
 
   /* -------------------------------------------- */
 
+  /**
+   * Combine enabled situational attack modifiers with the chosen advantage mode and raise the target value by any
+   * cover they provide. Advantage and disadvantage from any source cancel each other out.
+   */
+  applyAttackModifiers() {
+    const modifiers = (this.options.attackModifiers ?? []).filter(m => m.enabled);
+    if ( !modifiers.length ) return;
+    this.options.advantageMode = this.constructor.determineAdvantageMode({
+      advantage: this.hasAdvantage, disadvantage: this.hasDisadvantage, modifiers
+    }).advantageMode;
+    if ( Number.isNumeric(this.options.targetValue) ) this.options.targetValue += this.attackTargetBonus;
+  }
+
+  /* -------------------------------------------- */
+
   /** @inheritdoc */
   async toMessage(messageData={}, options={}) {
     // Record the preferred rollMode
@@ -187,6 +241,9 @@ export default class D20Roll extends Roll {
     messageData.flavor = messageData.flavor || this.options.flavor;
     if ( this.hasAdvantage ) messageData.flavor += ` (${game.i18n.localize("DND5E.Advantage")})`;
     else if ( this.hasDisadvantage ) messageData.flavor += ` (${game.i18n.localize("DND5E.Disadvantage")})`;
+    if ( this.isAutomaticFailure ) {
+      messageData.flavor += ` (${game.i18n.localize("DND5E.ConditionModifier.AutomaticFailure")})`;
+    }
 
     // Add reliable talent to the d20-term flavor text if it applied
     if ( this.validD20Roll && this.options.reliableTalent ) {
@@ -226,7 +283,8 @@ export default class D20Roll extends Roll {
       rollModes: CONFIG.Dice.rollModes,
       chooseModifier,
       defaultAbility,
-      abilities: CONFIG.DND5E.abilities
+      abilities: CONFIG.DND5E.abilities,
+      attackModifiers: this.options.attackModifiers
     });
 
     let defaultButton = "normal";
@@ -297,6 +355,13 @@ export default class D20Roll extends Roll {
     // Apply advantage or disadvantage
     this.options.advantageMode = advantageMode;
     this.options.rollMode = form.rollMode.value;
+
+    // Apply situational attack modifiers
+    for ( const modifier of this.options.attackModifiers ?? [] ) {
+      const input = form.elements[`modifier.${modifier.id}`];
+      if ( input ) modifier.enabled = input.checked;
+    }
+    this.applyAttackModifiers();
     this.configureModifiers();
     return this;
   }
@@ -19,6 +19,8 @@
  * @property {number|null} [fumble=1]  The value of the d20 result which represents a critical failure,
  *                                     `null` will prevent critical failures.
  * @property {number} [targetValue]    The value of the d20 result which should represent a successful roll.
+ * @property {AttackModifier[]} [attackModifiers]  Situational modifiers such as cover, range, flanking, or
+ *                                     conditions that can be toggled when configuring the roll.
  *
  * ## Flags
  * @property {boolean} [elvenAccuracy]   Allow Elven Accuracy to modify this roll?
@@ -50,7 +52,7 @@
  */
 export async function d20Roll({
   parts=[], data={}, event,
-  advantage, disadvantage, critical=20, fumble=1, targetValue,
+  advantage, disadvantage, critical=20, fumble=1, targetValue, attackModifiers,
   elvenAccuracy, halflingLucky, reliableTalent,
   fastForward, chooseModifier=false, template, title, dialogOptions,
   chatMessage=true, messageData={}, rollMode, flavor
@@ -76,6 +78,7 @@ export async function d20Roll({
     critical,
     fumble,
     targetValue,
+    attackModifiers,
     elvenAccuracy,
     halflingLucky,
     reliableTalent
@@ -92,7 +95,13 @@ export async function d20Roll({
       template
     }, dialogOptions);
     if ( configured === null ) return null;
-  } else roll.options.rollMode ??= defaultRollMode;
+  } else {
+    roll.options.rollMode ??= defaultRollMode;
+    if ( attackModifiers?.length ) {
+      roll.applyAttackModifiers();
+      roll.configureModifiers();
+    }
+  }
 
   // Evaluate the configured roll
   await roll.evaluate({ allowInteractive: (roll.options.rollMode ?? defaultRollMode) !== CONST.DICE_ROLL_MODES.BLIND });
@@ -102,6 +111,10 @@ export async function d20Roll({
   const messageId = event?.target.closest("[data-message-id]")?.dataset.messageId;
   if ( messageId ) foundry.utils.setProperty(messageData, "flags.dnd5e-2014.originatingMessage", messageId);
 
+  // Record cover against the targeted armor class
+  const targetBonus = roll.attackTargetBonus;
+  if ( targetBonus ) messageData.flags?.["dnd5e-2014"]?.targets?.forEach(t => t.ac += targetBonus);
+
   // Create a Chat Message
   if ( roll && chatMessage ) await roll.toMessage(messageData);
   return roll;
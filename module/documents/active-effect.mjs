@@ -568,6 +568,69 @@ export default class ActiveEffect5e extends ActiveEffect {
     return effectData;
   }
 
+  /* -------------------------------------------- */
+  /*  Light Sources                               */
+  /* -------------------------------------------- */
+
+  /**
+   * Create effect data for light emitted by an actor's token after using an item that cannot be equipped.
+   * @param {Item5e} item    The item emitting light.
+   * @param {object} [data]  Additional data provided for the effect instance.
+   * @returns {object}       Created data for the ActiveEffect.
+   */
+  static createLightEffectData(item, data={}) {
+    if ( !item.isEmbedded || !item.system.hasLight ) throw new Error("This item does not emit light!");
+    return foundry.utils.mergeObject({
+      name: item.name,
+      [game.release.generation < 12 ? "icon" : "img"]: item.img,
+      duration: ActiveEffect5e.getEffectDurationFromItem(item),
+      "flags.dnd5e-2014.light": item.toObject().system.light,
+      origin: item.uuid
+    }, data, {inplace: false});
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Delete light source effects whose duration in seconds has elapsed after the world time advances.
+   * @returns {Promise}
+   */
+  static async onUpdateWorldTime() {
+    return ActiveEffect5e.#deleteExpiredLights("seconds");
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Delete light source effects whose duration in rounds or turns has elapsed after combat advances.
+   * @param {Combat} combat   The combat that was updated.
+   * @param {object} changes  Differential data that was changed.
+   * @returns {Promise|void}
+   */
+  static onUpdateCombat(combat, changes) {
+    if ( ("round" in changes) || ("turn" in changes) ) return ActiveEffect5e.#deleteExpiredLights("turns");
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Delete light source effects of the given duration type whose duration has elapsed.
+   * @param {string} durationType  Type of duration to check, either "seconds" or "turns".
+   * @returns {Promise}
+   */
+  static async #deleteExpiredLights(durationType) {
+    if ( game.user !== game.users.activeGM ) return;
+    const actors = new Set([...game.actors, ...(canvas.scene?.tokens.map(t => t.actor) ?? [])]);
+    for ( const actor of actors ) {
+      const expired = actor?.effects.filter(e => {
+        if ( !e.getFlag("dnd5e-2014", "light") ) return false;
+        const { type, remaining } = e.updateDuration();
+        return (type === durationType) && (remaining <= 0);
+      });
+      if ( expired?.length ) await actor.deleteEmbeddedDocuments("ActiveEffect", expired.map(e => e.id));
+    }
+  }
+
   /* -------------------------------------------- */
 
   /**
@@ -1,10 +1,12 @@
 import ShortRestDialog from "../../applications/actor/short-rest.mjs";
 import LongRestDialog from "../../applications/actor/long-rest.mjs";
+import CurrencyManager from "../../applications/currency-manager.mjs";
 import PropertyAttribution from "../../applications/property-attribution.mjs";
+import SpellPreparationConfig from "../../applications/actor/spell-preparation-config.mjs";
 import { SummonsData } from "../../data/item/fields/summons-field.mjs";
 import { d20Roll } from "../../dice/dice.mjs";
 import { createRollLabel } from "../../enrichers.mjs";
-import { replaceFormulaData, simplifyBonus } from "../../utils.mjs";
+import { formatNumber, replaceFormulaData, simplifyBonus } from "../../utils.mjs";
 import ActiveEffect5e from "../active-effect.mjs";
 import Item5e from "../item.mjs";
 import SystemDocumentMixin from "../mixins/document.mjs";
@@ -155,6 +157,28 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
     return SummonsData.summonedCreatures(this);
   }
 
+  /* -------------------------------------------- */
+
+  /**
+   * The creature this actor is riding, if any.
+   * @type {Actor5e|null}
+   */
+  get mount() {
+    const uuid = this.system.attributes?.mount;
+    return uuid ? fromUuidSync(uuid) ?? null : null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * The creature riding this actor, if any.
+   * @type {Actor5e|null}
+   */
+  get rider() {
+    const uuid = this.getFlag("dnd5e-2014", "rider.uuid");
+    return uuid ? fromUuidSync(uuid) ?? null : null;
+  }
+
   /* -------------------------------------------- */
   /*  Methods                                     */
   /* -------------------------------------------- */
@@ -187,6 +211,26 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
     this._preparationWarnings = [];
     super.prepareData();
     this.items.forEach(item => item.prepareFinalAttributes());
+    this._refreshTokens();
+  }
+
+  /* --------------------------------------------- */
+
+  /**
+   * Re-apply data derived from this actor to its tokens on the canvas so their vision, detection modes, and light
+   * reflect its current senses and items, refreshing vision and lighting if any of them changed.
+   * @protected
+   */
+  _refreshTokens() {
+    const tokens = this.isToken ? [this.token] : this.getActiveTokens(true, true);
+    let changed = false;
+    for ( const token of tokens ) {
+      if ( !token?.rendered ) continue;
+      const previous = JSON.stringify([token.sight, token.detectionModes, token.light]);
+      token.prepareActorDerivedData();
+      if ( JSON.stringify([token.sight, token.detectionModes, token.light]) !== previous ) changed = true;
+    }
+    if ( changed ) canvas.perception.update({ initializeLighting: true, initializeVision: true });
   }
 
   /* --------------------------------------------- */
@@ -292,6 +336,236 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
 
   /* -------------------------------------------- */
 
+  /**
+   * Does this character have enough experience to gain a level?
+   * @type {boolean}
+   */
+  get hasLevelUpExperience() {
+    if ( (this.type !== "character") || game.settings.get("dnd5e-2014", "disableExperienceTracking") ) return false;
+    const { level, xp } = this.system.details;
+    return (level > 0) && (level < CONFIG.DND5E.maxLevel) && (xp.value >= xp.max);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Number of milestone levels awarded to this character that have not yet been taken.
+   * @type {number}
+   */
+  get pendingMilestones() {
+    if ( this.type !== "character" ) return 0;
+    return this.getFlag("dnd5e-2014", "milestoneLevels") ?? 0;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Is this character able to gain a level, either through experience or a milestone award?
+   * @type {boolean}
+   */
+  get canLevelUp() {
+    if ( this.type !== "character" ) return false;
+    const level = this.system.details.level;
+    return this.hasLevelUpExperience || ((level > 0) && (level < CONFIG.DND5E.maxLevel) && !!this.pendingMilestones);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Award milestone levels to this character that can be taken using the level-up assistant.
+   * @param {number} [levels=1]  Number of levels to award, or to remove if negative.
+   * @returns {Promise<Actor5e>}
+   */
+  async grantMilestone(levels=1) {
+    const value = Math.max(this.pendingMilestones + levels, 0);
+    if ( !value ) return this.unsetFlag("dnd5e-2014", "milestoneLevels");
+    return this.setFlag("dnd5e-2014", "milestoneLevels", value);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Determine the spellcasting class through which a spell would be learned by this actor.
+   * @param {Item5e|object} spell  Spell, or spell data, being learned.
+   * @returns {Item5e|null}
+   */
+  getSpellLearningClass(spell) {
+    const classes = this.spellcastingClasses ?? {};
+    const sourceClass = spell.system?.sourceClass;
+    if ( sourceClass ) return classes[sourceClass] ?? null;
+    const casters = Object.values(classes);
+    if ( casters.length === 1 ) return casters[0];
+    return casters.find(c => c.system.spellcasting.spellbook) ?? null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Can another leveled spell be learned by the provided class without exceeding its number of spells known?
+   * @param {Item5e} cls  Class learning the spell.
+   * @returns {boolean}
+   */
+  canLearnSpell(cls) {
+    const known = cls?.system.spellcasting.known;
+    if ( !known?.scale || !Number.isFinite(known.max) ) return true;
+    return known.value < known.max;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Copy a spell into the spellbook of one of this character's classes, spending the gold and time required. A spell
+   * scroll owned by this actor is used up when its spell is copied.
+   * @param {Item5e|object} spell                  The spell to learn, or a spell scroll created from it.
+   * @param {object} [options={}]
+   * @param {string} [options.classIdentifier]     Class whose spellbook should receive the spell. Defaults to the first
+   *                                               class that uses a spellbook.
+   * @param {boolean} [options.copy=true]          Should the gold and time needed to copy the spell be spent?
+   * @param {boolean} [options.chatMessage=true]   Should a record of the spell being learned be posted to chat?
+   * @returns {Promise<Item5e|void>}               The learned spell.
+   */
+  async learnSpell(spell, { classIdentifier, copy=true, chatMessage=true }={}) {
+    // Learn the spell from which a scroll was created
+    let scroll;
+    if ( spell.type === "consumable" ) {
+      if ( (spell instanceof Item) && (spell.actor === this) ) scroll = spell;
+      const spellSource = foundry.utils.getProperty(spell, "flags.dnd5e-2014.spellSource");
+      spell = spellSource ? await fromUuid(spellSource) : null;
+      if ( !spell ) {
+        ui.notifications.warn("DND5E.SpellLearning.Warning.NoSource", { localize: true });
+        return;
+      }
+    }
+    const spellData = spell instanceof Item ? spell.toObject() : foundry.utils.deepClone(spell);
+    if ( spellData.type !== "spell" ) return;
+
+    const cls = classIdentifier ? this.classes[classIdentifier]
+      : Object.values(this.classes).find(c => c.system.spellcasting.spellbook);
+    if ( !cls?.system.spellcasting.spellbook ) {
+      ui.notifications.warn(game.i18n.format("DND5E.SpellLearning.Warning.NoSpellbook", { name: this.name }));
+      return;
+    }
+    if ( cls.system.spells.some(s => s.name === spellData.name) ) {
+      ui.notifications.warn(game.i18n.format("DND5E.SpellLearning.Warning.Known", {
+        spell: spellData.name, class: cls.name
+      }));
+      return;
+    }
+
+    // Spend the gold needed to copy the spell
+    const level = spellData.system.level ?? 0;
+    const config = {
+      cls, copy,
+      cost: copy ? level * CONFIG.DND5E.spellbookCopying.cost : 0,
+      time: copy ? level * CONFIG.DND5E.spellbookCopying.time : 0
+    };
+    const updates = {};
+    if ( config.cost ) {
+      const currency = CurrencyManager.spendCurrency(this.system.currency, config.cost, "gp");
+      if ( !currency ) {
+        ui.notifications.warn(game.i18n.format("DND5E.SpellLearning.Warning.Funds", {
+          cost: formatNumber(config.cost), spell: spellData.name
+        }));
+        return;
+      }
+      updates["system.currency"] = currency;
+    }
+
+    delete spellData._id;
+    foundry.utils.setProperty(spellData, "system.sourceClass", cls.identifier);
+    foundry.utils.setProperty(spellData, "system.preparation", { mode: "prepared", prepared: false });
+    if ( (spell instanceof Item) && !spell.isEmbedded ) {
+      foundry.utils.setProperty(spellData, "flags.core.sourceId", spell.uuid);
+    }
+
+    /**
+     * A hook event that fires before a spell is learned into a class's spellbook.
+     * @function dnd5e.preLearnSpell
+     * @memberof hookEvents
+     * @param {Actor5e} actor        Actor learning the spell.
+     * @param {object} spellData     Data for the spell that will be created. *Will be mutated.*
+     * @param {object} config
+     * @param {Item5e} config.cls    Class whose spellbook is receiving the spell.
+     * @param {boolean} config.copy  Is the spell being copied?
+     * @param {number} config.cost   Gold spent copying the spell.
+     * @param {number} config.time   Hours spent copying the spell.
+     * @returns {boolean}            Explicitly return `false` to prevent the spell from being learned.
+     */
+    if ( Hooks.call("dnd5e.preLearnSpell", this, spellData, config) === false ) return;
+
+    if ( !foundry.utils.isEmpty(updates) ) await this.update(updates);
+    const [item] = await this.createEmbeddedDocuments("Item", [spellData]);
+    if ( scroll ) {
+      const quantity = scroll.system.quantity ?? 1;
+      if ( quantity > 1 ) await scroll.update({ "system.quantity": quantity - 1 });
+      else await scroll.delete();
+    }
+
+    if ( chatMessage ) {
+      const message = config.copy ? "DND5E.SpellLearning.CopyResult" : "DND5E.SpellLearning.LearnResult";
+      const messageData = {
+        speaker: ChatMessage.getSpeaker({ actor: this }),
+        content: `<p>${game.i18n.format(message, {
+          name: this.name, spell: item.toAnchor().outerHTML, class: cls.name,
+          cost: formatNumber(config.cost), time: formatNumber(config.time)
+        })}</p>`,
+        "flags.dnd5e-2014.spellbook": { spell: item.id, cost: config.cost, time: config.time }
+      };
+      // TODO: Remove when v11 support is dropped.
+      if ( game.release.generation < 12 ) messageData.type = CONST.CHAT_MESSAGE_TYPES.OTHER;
+      ChatMessage.applyRollMode(messageData, game.settings.get("core", "rollMode"));
+      await ChatMessage.implementation.create(messageData);
+    }
+
+    /**
+     * A hook event that fires after a spell has been learned into a class's spellbook.
+     * @function dnd5e.learnSpell
+     * @memberof hookEvents
+     * @param {Actor5e} actor        Actor that learned the spell.
+     * @param {Item5e} item          The learned spell.
+     * @param {object} config
+     * @param {Item5e} config.cls    Class whose spellbook received the spell.
+     * @param {boolean} config.copy  Was the spell copied?
+     * @param {number} config.cost   Gold spent copying the spell.
+     * @param {number} config.time   Hours spent copying the spell.
+     */
+    Hooks.callAll("dnd5e.learnSpell", this, item, config);
+
+    return item;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Prompt to choose one of this actor's unidentified items and identify it.
+   * @param {object} [options={}]
+   * @param {string} [options.title]              Title of the prompt, defaults to "Identify".
+   * @param {boolean} [options.chatMessage=true]  Announce the identification in chat.
+   * @returns {Promise<Item5e|void>}              The identified item.
+   */
+  async identifyItem({ title, chatMessage=true }={}) {
+    const items = this.items.filter(i => i.system.identified === false);
+    if ( !items.length ) {
+      ui.notifications.info(game.i18n.format("DND5E.Identification.Warning.None", { name: this.name }));
+      return;
+    }
+    const options = items.map(i => `<option value="${i.id}">${i.name}</option>`).join("");
+    const itemId = await Dialog.prompt({
+      title: title ?? game.i18n.localize("DND5E.Identify"),
+      content: `<form><div class="form-group">
+          <label>${game.i18n.localize("DND5E.Identification.Choose")}</label>
+          <div class="form-fields"><select name="item">${options}</select></div>
+        </div></form>`,
+      label: game.i18n.localize("DND5E.Identify"),
+      callback: html => html.querySelector('[name="item"]').value,
+      rejectClose: false,
+      options: { jQuery: false }
+    });
+    return this.items.get(itemId)?.identify({ chatMessage });
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Return the amount of experience granted by killing a creature of a certain CR.
    * @param {number} cr     The creature's challenge rating.
@@ -338,6 +612,56 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
     });
   }
 
+  /* -------------------------------------------- */
+
+  /**
+   * Determine the situational modifiers this actor's conditions apply to a d20 roll. Each affecting condition
+   * produces its own modifier so it can be toggled individually in the roll configuration dialog.
+   * @param {string} type                    Type of roll, either "attack", "check", or "save" for rolls made by this
+   *                                         actor, or "defense" for attacks made against it.
+   * @param {object} [options={}]
+   * @param {string} [options.ability]       Ability used for a saving throw.
+   * @param {boolean} [options.adjacent]     For attacks against this actor, is the attacker within 5 feet?
+   * @param {boolean} [options.melee]        For attacks against this actor, is it a melee attack?
+   * @returns {AttackModifier[]}
+   */
+  getConditionModifiers(type, { ability, adjacent=false, melee=false }={}) {
+    const imms = this.system.traits?.ci?.value ?? new Set();
+    const modifiers = [];
+    const add = (key, changes) => {
+      for ( const status of CONFIG.DND5E.conditionEffects[key] ?? [] ) {
+        if ( !this.statuses.has(status) || imms.has(status) ) continue;
+        const condition = CONFIG.DND5E.conditionTypes[status]?.label ?? status;
+        modifiers.push({
+          id: `${key}.${status}`,
+          label: type === "defense" ? game.i18n.format("DND5E.ConditionModifier.Target", { condition }) : condition,
+          enabled: true,
+          ...changes
+        });
+      }
+    };
+    switch ( type ) {
+      case "attack":
+        add("attackAdvantage", { advantage: true });
+        add("attackDisadvantage", { disadvantage: true });
+        break;
+      case "check":
+        add("abilityCheckDisadvantage", { disadvantage: true });
+        break;
+      case "defense":
+        add("defenseAdvantage", { advantage: true });
+        add("defenseDisadvantage", { disadvantage: true });
+        add("defenseProne", adjacent ? { advantage: true } : { disadvantage: true });
+        if ( adjacent && melee ) add("defenseCritical", { critical: true });
+        break;
+      case "save":
+        if ( ["str", "dex"].includes(ability) ) add("strDexSaveFail", { fail: true });
+        if ( ability === "dex" ) add("dexSaveDisadvantage", { disadvantage: true });
+        break;
+    }
+    return modifiers;
+  }
+
   /* -------------------------------------------- */
   /*  Base Data Preparation Helpers               */
   /* -------------------------------------------- */
@@ -650,6 +974,25 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
     for ( const type of Object.keys(CONFIG.DND5E.spellcastingTypes) ) {
       this.constructor.prepareSpellcastingSlots(this.system.spells, type, progression, { actor: this });
     }
+
+    // Number of spells each class has prepared and can prepare, and number of spells known and can know
+    let rollData;
+    for ( const cls of classes ) {
+      const { known, preparation } = cls.system.spellcasting;
+      if ( preparation?.formula ) {
+        rollData ??= this.getRollData({ deterministic: true });
+        preparation.max = Math.max(simplifyBonus(preparation.formula, rollData), 1);
+        preparation.value = cls.system.spells.filter(s => {
+          return (s.system.level > 0) && (s.system.preparation.mode === "prepared") && s.system.preparation.prepared;
+        }).length;
+      }
+      if ( known?.scale ) {
+        known.max = this.system.scale?.[cls.identifier]?.[known.scale]?.value ?? null;
+        known.value = cls.system.spells.filter(s => {
+          return (s.system.level > 0) && ["pact", "prepared"].includes(s.system.preparation.mode);
+        }).length;
+      }
+    }
   }
 
   /* -------------------------------------------- */
@@ -1284,6 +1627,92 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
     });
   }
 
+  /* -------------------------------------------- */
+  /*  Mounted Combat                              */
+  /* -------------------------------------------- */
+
+  /**
+   * Mount another creature, which must be at least one size larger than this actor.
+   * @param {Actor5e} mount                      The creature to ride.
+   * @param {object} [options={}]
+   * @param {boolean} [options.controlled=true]  Is the mount controlled by its rider? Controlled mounts share their
+   *                                             rider's initiative.
+   * @returns {Promise<Actor5e|void>}            This actor once mounted.
+   */
+  async mountActor(mount, { controlled=true }={}) {
+    const sizes = Object.keys(CONFIG.DND5E.actorSizes);
+    const size = actor => sizes.indexOf(actor.system.traits?.size);
+    let warning;
+    if ( !mount || (mount === this) || !["character", "npc"].includes(mount.type) ) warning = "Invalid";
+    else if ( size(mount) <= size(this) ) warning = "Size";
+    else if ( mount.rider && (mount.rider !== this) ) warning = "Occupied";
+    if ( warning ) {
+      ui.notifications.warn(game.i18n.format(`DND5E.Mount.Warning.${warning}`, {
+        rider: this.name, mount: mount?.name
+      }));
+      return;
+    }
+
+    if ( this.mount && (this.mount !== mount) ) await this.dismount();
+
+    /**
+     * A hook event that fires before an actor mounts another creature.
+     * @function dnd5e.preMountActor
+     * @memberof hookEvents
+     * @param {Actor5e} rider        The actor mounting.
+     * @param {Actor5e} mount        The creature being mounted.
+     * @param {object} options
+     * @param {boolean} options.controlled  Is the mount controlled?
+     * @returns {boolean}            Explicitly return `false` to prevent the actor from mounting.
+     */
+    if ( Hooks.call("dnd5e.preMountActor", this, mount, { controlled }) === false ) return;
+
+    await mount.setFlag("dnd5e-2014", "rider", { uuid: this.uuid, controlled });
+    await this.update({ "system.attributes.mount": mount.uuid });
+
+    // Place the rider's tokens on their mount
+    const [token] = mount.getActiveTokens(false, true);
+    if ( token ) {
+      const updates = this.getActiveTokens(false, true).filter(t => t.parent === token.parent).map(t => ({
+        _id: t.id, x: token.x, y: token.y, elevation: token.elevation
+      }));
+      await token.parent.updateEmbeddedDocuments("Token", updates, { dnd5e: { mountMovement: true } });
+    }
+
+    /**
+     * A hook event that fires after an actor mounts another creature.
+     * @function dnd5e.mountActor
+     * @memberof hookEvents
+     * @param {Actor5e} rider  The actor who mounted.
+     * @param {Actor5e} mount  The creature that was mounted.
+     */
+    Hooks.callAll("dnd5e.mountActor", this, mount);
+    return this;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Dismount from this actor's current mount.
+   * @returns {Promise<Actor5e|void>}  This actor once dismounted.
+   */
+  async dismount() {
+    const mount = this.mount;
+    if ( !this.system.attributes?.mount ) return;
+    await this.update({ "system.attributes.mount": "" });
+    if ( mount?.rider === this ) await mount.unsetFlag("dnd5e-2014", "rider");
+
+    /**
+     * A hook event that fires after an actor dismounts.
+     * @function dnd5e.dismountActor
+     * @memberof hookEvents
+     * @param {Actor5e} rider         The actor who dismounted.
+     * @param {Actor5e|null} mount    The creature that was being ridden.
+     */
+    Hooks.callAll("dnd5e.dismountActor", this, mount);
+    return this;
+  }
+
   /* -------------------------------------------- */
 
   /**
@@ -1360,6 +1789,7 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
       chooseModifier: true,
       halflingLucky: this.getFlag("dnd5e-2014", "halflingLucky"),
       reliableTalent,
+      attackModifiers: this.getConditionModifiers("check"),
       messageData: {
         speaker: options.speaker || ChatMessage.getSpeaker({actor: this}),
         "flags.dnd5e-2014.roll": {type: "skill", skillId }
@@ -1450,6 +1880,7 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
       chooseModifier: true,
       halflingLucky: this.getFlag("dnd5e-2014", "halflingLucky"),
       reliableTalent,
+      attackModifiers: this.getConditionModifiers("check"),
       messageData: {
         speaker: options.speaker || ChatMessage.implementation.getSpeaker({actor: this}),
         "flags.dnd5e-2014.roll": {type: "tool", toolId}
@@ -1555,6 +1986,7 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
       title: `${flavor}: ${this.name}`,
       flavor,
       halflingLucky: this.getFlag("dnd5e-2014", "halflingLucky"),
+      attackModifiers: this.getConditionModifiers("check"),
       messageData: {
         speaker: options.speaker || ChatMessage.getSpeaker({actor: this}),
         "flags.dnd5e-2014.roll": {type: "ability", abilityId }
@@ -1634,6 +2066,7 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
       title: `${flavor}: ${this.name}`,
       flavor,
       halflingLucky: this.getFlag("dnd5e-2014", "halflingLucky"),
+      attackModifiers: this.getConditionModifiers("save", { ability: abilityId }),
       messageData: {
         speaker: options.speaker || ChatMessage.getSpeaker({actor: this}),
         "flags.dnd5e-2014.roll": {type: "save", abilityId }
@@ -1734,7 +2167,7 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
     const details = {};
 
     // Save success
-    if ( roll.total >= (roll.options.targetValue ?? 10) ) {
+    if ( !roll.isAutomaticFailure && (roll.total >= (roll.options.targetValue ?? 10)) ) {
       let successes = (death.success || 0) + 1;
 
       // Critical Success = revive with 1hp
@@ -2219,6 +2652,8 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
    * @property {boolean} [autoHD]          Should hit dice be spent automatically during a short rest?
    * @property {number} [autoHDThreshold]  How many hit points should be missing before hit dice are
    *                                       automatically spent during a short rest.
+   * @property {boolean} [prepareSpells]   Should the spell preparation dialog be opened after a long rest?
+   * @property {string} [identify]         ID of an unidentified item to identify during a short rest.
    */
 
   /**
@@ -2286,7 +2721,9 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
     // Return the rest result
     const dhd = foundry.utils.getProperty(this, "system.attributes.hd.value") - hd0;
     const dhp = foundry.utils.getProperty(this, "system.attributes.hp.value") - hp0;
-    return this._rest(config, { dhd, dhp });
+    const result = await this._rest(config, { dhd, dhp });
+    if ( result && config.identify ) await this.items.get(config.identify)?.identify();
+    return result;
   }
 
   /* -------------------------------------------- */
@@ -2330,7 +2767,9 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
      */
     if ( Hooks.call("dnd5e.longRest", this, config) === false ) return;
 
-    return this._rest(config);
+    const result = await this._rest(config);
+    if ( result && config.prepareSpells ) new SpellPreparationConfig(this).render(true);
+    return result;
   }
 
   /* -------------------------------------------- */
@@ -3237,6 +3676,27 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
         return actor && actor.isPolymorphed;
       },
       group: "system"
+    }, {
+      name: "DND5E.LevelUp.Milestone",
+      icon: '<i class="fa-solid fa-flag-checkered"></i>',
+      callback: li => game.actors.get(li[0].dataset.documentId)?.grantMilestone(),
+      condition: li => {
+        const actor = game.actors.get(li[0].dataset.documentId);
+        return game.user.isGM && (actor?.type === "character");
+      },
+      group: "system"
+    }, {
+      name: "DND5E.Identification.IdentifyAll",
+      icon: '<i class="fa-solid fa-magnifying-glass"></i>',
+      callback: li => {
+        const actor = game.actors.get(li[0].dataset.documentId);
+        return Item.implementation.setIdentified(actor?.items ?? [], true);
+      },
+      condition: li => {
+        const actor = game.actors.get(li[0].dataset.documentId);
+        return game.user.isGM && !!actor?.items.some(i => i.system.identified === false);
+      },
+      group: "system"
     }, {
       name: "DND5E.Group.Primary.Set",
       icon: '<i class="fa-solid fa-star"></i>',
@@ -2,6 +2,35 @@ import { SummonsData } from "../data/item/fields/summons-field.mjs";
 import aggregateDamageRolls from "../dice/aggregate-damage-rolls.mjs";
 import DamageRoll from "../dice/damage-roll.mjs";
 import simplifyRollFormula from "../dice/simplify-roll-formula.mjs";
+import { createRollLabel } from "../enrichers.mjs";
+
+/**
+ * Configuration for a roll requested from a group of actors.
+ *
+ * @typedef {object} GroupRollRequestConfiguration
+ * @property {string} type              Type of roll ("check", "skill", "tool", "save", or "concentration").
+ * @property {string} [ability]         Ability used for the roll.
+ * @property {string} [skill]           Skill to roll.
+ * @property {string} [tool]            Tool to roll.
+ * @property {number} [dc]              DC against which each result is compared.
+ * @property {boolean} [group]          Is this a group check, which succeeds if at least half of the actors succeed?
+ * @property {object} [damage]
+ * @property {string} [damage.formula]  Damage formula applied to actors who fail.
+ * @property {string} [damage.type]     Type of damage dealt.
+ * @property {boolean} [damage.half]    Do actors who succeed take half damage?
+ */
+
+/**
+ * Result of a single actor's roll for a group roll request.
+ *
+ * @typedef {object} GroupRollRequestEntry
+ * @property {string} uuid              UUID of the actor asked to roll.
+ * @property {string} name              Name of the actor.
+ * @property {string} img               Image of the actor.
+ * @property {number|null} total        Total of the actor's roll, if rolled.
+ * @property {boolean|null} success     Did the roll meet the DC?
+ * @property {string} [messageId]       ID of the chat message containing the roll.
+ */
 
 export default class ChatMessage5e extends ChatMessage {
 
@@ -205,6 +234,10 @@ export default class ChatMessage5e extends ChatMessage {
       const canCrit = ["attack", "death"].includes(this.getFlag("dnd5e-2014", "roll.type"));
       const isAttack = this.getFlag("dnd5e-2014", "roll.type") === "attack";
       const showResult = isAttack ? displayAttackResult : displayChallenge;
+      if ( d20Roll.isAutomaticFailure ) {
+        if ( showResult ) total.classList.add("failure");
+        continue;
+      }
       if ( d.options.target && showResult ) {
         if ( d20Roll.total >= d.options.target ) total.classList.add("success");
         else total.classList.add("failure");
@@ -311,6 +344,12 @@ export default class ChatMessage5e extends ChatMessage {
     // Attack targets
     this._enrichAttackTargets(html);
 
+    // Template targets
+    this._enrichTemplateTargets(html);
+
+    // Group roll requests
+    this._enrichGroupRequest(html);
+
     // Dice rolls
     if ( this.isContentVisible ) {
       html.querySelectorAll(".dice-tooltip").forEach((el, i) => {
@@ -406,6 +445,46 @@ export default class ChatMessage5e extends ChatMessage {
 
   /* -------------------------------------------- */
 
+  /**
+   * Augment item usage and zone cards with the targets covered by their template.
+   * @param {HTMLLIElement} html  The chat card.
+   * @protected
+   */
+  _enrichTemplateTargets(html) {
+    const targets = this.getFlag("dnd5e-2014", "targets");
+    const isUsage = this.getFlag("dnd5e-2014", "use") || this.getFlag("dnd5e-2014", "zone");
+    if ( !isUsage || !targets || !this.isContentVisible ) return;
+    const tray = document.createElement("div");
+    tray.classList.add("dnd5e2");
+    tray.innerHTML = `
+      <div class="card-tray targets-tray collapsible collapsed">
+        <label class="roboto-upper">
+          <i class="fas fa-bullseye" inert></i>
+          <span>${game.i18n.localize("DND5E.TemplateTargeting.Covered")}</span>
+          <i class="fas fa-caret-down" inert></i>
+        </label>
+        <div class="collapsible-content">
+          <ul class="dnd5e2 unlist evaluation wrapper"></ul>
+        </div>
+      </div>
+    `;
+    const list = tray.querySelector("ul");
+    list.innerHTML = targets.length ? targets.map(({ name, uuid }) => `
+      <li data-uuid="${uuid}" class="target">
+        <i class="fas fa-crosshairs"></i>
+        <div class="name">${name}</div>
+      </li>
+    `).join("") : `<li class="none">${game.i18n.localize("DND5E.TemplateTargeting.None")}</li>`;
+    list.querySelectorAll("li.target").forEach(target => {
+      target.addEventListener("click", this._onTargetMouseDown.bind(this));
+      target.addEventListener("pointerover", this._onTargetHoverIn.bind(this));
+      target.addEventListener("pointerout", this._onTargetHoverOut.bind(this));
+    });
+    html.querySelector(".message-content")?.appendChild(tray);
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Coalesce damage rolls into a single breakdown.
    * @param {DamageRoll[]} rolls  The damage rolls.
@@ -470,12 +549,100 @@ export default class ChatMessage5e extends ChatMessage {
         type: roll.options.type,
         properties: new Set(roll.options.properties ?? [])
       }));
+      const request = this.getFlag("dnd5e-2014", "request");
+      for ( const { uuid, success } of Object.values(request?.actors ?? {}) ) {
+        if ( success ) damageApplication.getTargetOptions(uuid).multiplier = .5;
+      }
       html.querySelector(".message-content").appendChild(damageApplication);
     }
   }
 
   /* -------------------------------------------- */
 
+  /**
+   * Display the actors asked to roll for a group roll request along with their results.
+   * @param {HTMLElement} html  The chat card.
+   * @protected
+   */
+  _enrichGroupRequest(html) {
+    const request = this.getFlag("dnd5e-2014", "request");
+    const list = html.querySelector(".group-request .evaluation");
+    if ( !request || !list ) return;
+    const displayChallenge = this.shouldDisplayChallenge;
+    const entries = Object.entries(request.actors ?? {});
+
+    list.innerHTML = entries.map(([key, { uuid, name, img, total, success }]) => {
+      const rolled = total !== null;
+      const status = rolled && displayChallenge && (success !== null) ? success ? "hit" : "miss" : "";
+      let result;
+      if ( rolled ) result = `
+        <div class="ac">
+          <i class="fas fa-dice-d20"></i>
+          <span>${total}</span>
+        </div>
+      `;
+      else if ( fromUuidSync(uuid)?.isOwner ) result = `
+        <button type="button" data-action="rollGroupRequest">
+          <i class="fas fa-dice-d20" inert></i> ${game.i18n.localize("DND5E.RollRequest.Roll")}
+        </button>
+      `;
+      else result = `
+        <div class="ac pending" data-tooltip="DND5E.RollRequest.Pending">
+          <i class="fas fa-hourglass-half"></i>
+        </div>
+      `;
+      return `
+        <li class="target ${status}" data-key="${key}" data-uuid="${uuid}">
+          ${status ? `<i class="fas ${status === "hit" ? "fa-check" : "fa-times"}"></i>` : ""}
+          <img class="gold-icon" src="${img}" alt="${name}">
+          <div class="name">${name}</div>
+          ${result}
+        </li>
+      `;
+    }).join("");
+
+    // Summary of results
+    const rolled = entries.filter(([, e]) => e.total !== null);
+    const footer = html.querySelector(".group-request .request-summary");
+    if ( footer && displayChallenge && Number.isNumeric(request.dc) && rolled.length ) {
+      const successes = rolled.filter(([, e]) => e.success).length;
+      let summary = game.i18n.format("DND5E.RollRequest.Summary", { successes, total: entries.length });
+      if ( request.group && (rolled.length === entries.length) ) {
+        const passed = successes >= Math.ceil(entries.length / 2);
+        summary += ` — ${game.i18n.localize(`DND5E.RollRequest.Group${passed ? "Success" : "Failure"}`)}`;
+      }
+      footer.innerText = summary;
+    }
+
+    // Damage controls
+    if ( game.user.isGM && request.damage?.formula && !this.rolls.length && rolled.length ) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.dataset.action = "rollRequestDamage";
+      button.innerHTML = `
+        <i class="fas fa-burst" inert></i>
+        ${game.i18n.format("DND5E.RollRequest.RollDamage", { formula: request.damage.formula })}
+      `;
+      button.addEventListener("click", event => {
+        event.preventDefault();
+        button.disabled = true;
+        this.rollRequestDamage();
+      });
+      list.insertAdjacentElement("afterend", button);
+    }
+
+    list.querySelectorAll("li.target").forEach(target => {
+      target.addEventListener("click", this._onTargetMouseDown.bind(this));
+      target.addEventListener("pointerover", this._onTargetHoverIn.bind(this));
+      target.addEventListener("pointerout", this._onTargetHoverOut.bind(this));
+    });
+    list.querySelectorAll('[data-action="rollGroupRequest"]').forEach(button => {
+      button.addEventListener("click", this._onRollGroupRequest.bind(this));
+    });
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Aggregate damage roll information by damage type.
    * @param {DamageRoll} roll  The damage roll.
@@ -705,6 +872,50 @@ export default class ChatMessage5e extends ChatMessage {
 
   /* -------------------------------------------- */
 
+  /**
+   * Handle rolling for an actor from a group roll request.
+   * @param {PointerEvent} event  The triggering click event.
+   * @returns {Promise}
+   * @protected
+   */
+  async _onRollGroupRequest(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    const button = event.currentTarget;
+    const key = button.closest("[data-key]")?.dataset.key;
+    const request = this.getFlag("dnd5e-2014", "request");
+    const actor = fromUuidSync(request?.actors?.[key]?.uuid ?? "");
+    if ( !actor?.isOwner ) return;
+
+    const options = {
+      event,
+      targetValue: request.dc,
+      messageData: { "flags.dnd5e-2014.requestResult": { messageId: this.id, key } }
+    };
+    button.disabled = true;
+    try {
+      switch ( request.type ) {
+        case "check":
+          return await actor.rollAbilityTest(request.ability, options);
+        case "concentration":
+          if ( request.ability in CONFIG.DND5E.abilities ) options.ability = request.ability;
+          return await actor.rollConcentration(options);
+        case "save":
+          return await actor.rollAbilitySave(request.ability, options);
+        case "skill":
+          if ( request.ability ) options.ability = request.ability;
+          return await actor.rollSkill(request.skill, options);
+        case "tool":
+          options.ability = request.ability;
+          return await actor.rollToolCheck(request.tool, options);
+      }
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Handle dice roll expansion.
    * @param {PointerEvent} event  The triggering event.
@@ -747,6 +958,111 @@ export default class ChatMessage5e extends ChatMessage {
     }
   }
 
+  /* -------------------------------------------- */
+  /*  Group Roll Requests                         */
+  /* -------------------------------------------- */
+
+  /**
+   * Create a chat card requesting a roll from each of the provided actors, collecting their results.
+   * @param {GroupRollRequestConfiguration} config  Configuration of the requested roll.
+   * @param {Actor5e[]} actors                      Actors who should roll.
+   * @returns {Promise<ChatMessage5e|void>}
+   */
+  static async createGroupRequest(config, actors) {
+    actors = Array.from(new Set(actors)).filter(a => a);
+    if ( !actors.length ) {
+      ui.notifications.warn("DND5E.RollRequest.Warning.NoActors", { localize: true });
+      return;
+    }
+    const request = { ...config, actors: {} };
+    for ( const actor of actors ) {
+      request.actors[foundry.utils.randomID()] = {
+        uuid: actor.uuid, name: actor.name, img: actor.img, total: null, success: null
+      };
+    }
+    const chatData = {
+      user: game.user.id,
+      content: await renderTemplate("systems/dnd5e-2014/templates/chat/group-request-card.hbs", {
+        label: createRollLabel({ ...config, format: "long", icon: true }),
+        hiddenLabel: createRollLabel({ ...config, format: "long", icon: true, hideDC: true }),
+        group: config.group
+      }),
+      flavor: game.i18n.localize("EDITOR.DND5E.Inline.RollRequest"),
+      speaker: this.getSpeaker({ user: game.user }),
+      "flags.dnd5e-2014.request": request
+    };
+    // TODO: Remove when v11 support is dropped.
+    if ( game.release.generation < 12 ) chatData.type = CONST.CHAT_MESSAGE_TYPES.OTHER;
+    return this.create(chatData);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Record the result of a roll made in response to this group roll request.
+   * @param {string} key               Key of the actor's entry in the request.
+   * @param {ChatMessage5e} message    Message containing the roll.
+   * @returns {Promise<ChatMessage5e|void>}
+   */
+  async recordRequestResult(key, message) {
+    const request = this.getFlag("dnd5e-2014", "request");
+    const entry = request?.actors?.[key];
+    const roll = message.rolls[0];
+    if ( !entry || !roll ) return;
+    const success = Number.isNumeric(request.dc) ? !roll.isAutomaticFailure && (roll.total >= request.dc) : null;
+    Object.assign(entry, { total: roll.total, success, messageId: message.id });
+    const update = { [`flags.dnd5e-2014.request.actors.${key}`]: entry };
+    if ( this.rolls.length ) update["flags.dnd5e-2014.targets"] = this._getRequestTargets(request);
+    return this.update(update);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Roll the damage for this group roll request so it can be applied to the actors who failed.
+   * @returns {Promise<ChatMessage5e|void>}
+   */
+  async rollRequestDamage() {
+    const request = this.getFlag("dnd5e-2014", "request");
+    if ( !request?.damage?.formula ) return;
+    const roll = new CONFIG.Dice.DamageRoll(request.damage.formula, {}, { type: request.damage.type });
+    await roll.evaluate();
+    const update = {
+      rolls: [roll.toJSON()],
+      "flags.dnd5e-2014.roll.type": "damage",
+      "flags.dnd5e-2014.targets": this._getRequestTargets(request)
+    };
+    // TODO: Remove when v11 support is dropped.
+    if ( game.release.generation < 12 ) update.type = CONST.CHAT_MESSAGE_TYPES.ROLL;
+    return this.update(update);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Determine which actors in a group roll request should have damage applied.
+   * @param {object} request  The group roll request.
+   * @returns {{name: string, img: string, uuid: string}[]}
+   * @protected
+   */
+  _getRequestTargets(request) {
+    return Object.values(request.actors ?? {})
+      .filter(e => (e.total !== null) && (!e.success || request.damage?.half))
+      .map(({ name, img, uuid }) => ({ name, img, uuid }));
+  }
+
+  /* -------------------------------------------- */
+  /*  Socket Event Handlers                       */
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  _onCreate(data, options, userId) {
+    super._onCreate(data, options, userId);
+    const result = this.getFlag("dnd5e-2014", "requestResult");
+    if ( !result || (game.user !== game.users.activeGM) ) return;
+    game.messages.get(result.messageId)?.recordRequestResult(result.key, this);
+  }
+
   /* -------------------------------------------- */
   /*  Helpers                                     */
   /* -------------------------------------------- */
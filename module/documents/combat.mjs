@@ -3,6 +3,27 @@
  */
 export default class Combat5e extends Combat {
 
+  /**
+   * Record of changes made while processing turn changes, used to revert them if the turn is rewound.
+   *
+   * @typedef {object} TurnUndoData
+   * @property {Record<string, number>} legact     Previous legendary action values, keyed by actor UUID.
+   * @property {Record<string, number>} recharge   Previous uses of recharged items, keyed by item UUID.
+   * @property {Record<string, object[]>} effects  Data for effects that were expired, keyed by actor UUID.
+   * @property {Record<string, object>} actions    Actions spent before they were restored, keyed by combatant ID.
+   */
+
+  /**
+   * Context passed to the turn lifecycle handlers.
+   *
+   * @typedef {object} CombatTurnContext
+   * @property {number} round         Round in which the turn change occurred.
+   * @property {number} turn          Turn index after the change.
+   * @property {TurnUndoData} undo    Record of changes made which can be reverted if the turn is rewound.
+   */
+
+  /* -------------------------------------------- */
+
   /** @inheritDoc */
   async startCombat() {
     await super.startCombat();
@@ -41,5 +62,373 @@ export default class Combat5e extends Combat {
     previous?.refreshDynamicRing();
     return this;
   }
-}
 
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  _sortCombatants(a, b) {
+    if ( a.initiative === b.initiative ) {
+      // Lair actions lose initiative ties
+      if ( a.isLairActions !== b.isLairActions ) return a.isLairActions ? 1 : -1;
+
+      // Controlled mounts act directly after their riders
+      if ( a.riderCombatant === b ) return 1;
+      if ( b.riderCombatant === a ) return -1;
+    }
+    return super._sortCombatants(a, b);
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  async rollInitiative(ids, options={}) {
+    ids = typeof ids === "string" ? [ids] : ids;
+    // Controlled mounts don't roll, their initiative is updated once their rider's changes
+    const rolled = ids.filter(id => !this.combatants.get(id)?.riderCombatant);
+    if ( rolled.length ) await super.rollInitiative(rolled, options);
+    return this;
+  }
+
+  /* -------------------------------------------- */
+  /*  Mounted Combat                              */
+  /* -------------------------------------------- */
+
+  /**
+   * Set the initiative of controlled mounts to match that of their riders.
+   * @returns {Promise<Combatant5e[]>}  Mount combatants that were updated.
+   */
+  async shareMountInitiative() {
+    const updates = this.combatants.reduce((arr, combatant) => {
+      const initiative = combatant.riderCombatant?.initiative;
+      if ( (initiative !== undefined) && (initiative !== combatant.initiative) ) {
+        arr.push({ _id: combatant.id, initiative });
+      }
+      return arr;
+    }, []);
+    if ( !updates.length ) return [];
+    return this.updateEmbeddedDocuments("Combatant", updates);
+  }
+
+  /* -------------------------------------------- */
+  /*  Lair Actions                                */
+  /* -------------------------------------------- */
+
+  /**
+   * Create combatants representing the lair actions of any of the provided combatants whose lair is enabled.
+   * @param {Combatant5e[]} combatants  Combatants that have been added to the combat.
+   * @returns {Promise<Combatant5e[]>}  The lair action combatants created.
+   */
+  async createLairCombatants(combatants) {
+    const existing = new Set(this.combatants.map(c => c.getFlag("dnd5e-2014", "lair.source")).filter(id => id));
+    const toCreate = combatants.reduce((arr, combatant) => {
+      const lair = combatant.actor?.system.resources?.lair;
+      if ( combatant.isLairActions || !lair?.value || existing.has(combatant.id) ) return arr;
+      arr.push({
+        name: game.i18n.format("DND5E.Combat.LairActions", { name: combatant.name }),
+        img: "icons/svg/castle.svg",
+        initiative: lair.initiative ?? 20,
+        hidden: combatant.hidden,
+        "flags.dnd5e-2014.lair.source": combatant.id
+      });
+      return arr;
+    }, []);
+    if ( !toCreate.length ) return [];
+    return this.createEmbeddedDocuments("Combatant", toCreate);
+  }
+
+  /* -------------------------------------------- */
+  /*  Turn Lifecycle                              */
+  /* -------------------------------------------- */
+
+  /**
+   * Process the end of a combatant's turn. Only called on the active GM's client when combat moves forward.
+   * @param {Combatant5e} combatant      Combatant whose turn is ending.
+   * @param {CombatTurnContext} context  Context for the turn change.
+   * @protected
+   */
+  async _onCombatantTurnEnd(combatant, context) {
+    /**
+     * A hook event that fires when a combatant's turn ends. Only fires on the active GM's client and is not called
+     * when the combat is rewound.
+     * @function dnd5e.combatTurnEnd
+     * @memberof hookEvents
+     * @param {Combat5e} combat            The combat encounter.
+     * @param {Combatant5e} combatant      Combatant whose turn is ending.
+     * @param {CombatTurnContext} context  Context for the turn change.
+     */
+    Hooks.callAll("dnd5e.combatTurnEnd", this, combatant, context);
+
+    if ( game.settings.get("dnd5e-2014", "combatEffectExpiry") ) await this._expireEffects(context.undo);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Process the start of a combatant's turn. Only called on the active GM's client when combat moves forward.
+   * @param {Combatant5e} combatant      Combatant whose turn is starting.
+   * @param {CombatTurnContext} context  Context for the turn change.
+   * @protected
+   */
+  async _onCombatantTurnStart(combatant, context) {
+    const { actor } = combatant;
+    const { undo } = context;
+    await this._resetActions(combatant, undo);
+    if ( actor ) {
+      if ( game.settings.get("dnd5e-2014", "combatLegendaryReset") ) await this._resetLegendaryActions(actor, undo);
+      if ( game.settings.get("dnd5e-2014", "combatRecharge") ) await this._rollRecharge(actor, undo);
+      if ( (actor.type === "vehicle") && game.settings.get("dnd5e-2014", "combatVehicleTurn") ) {
+        await actor.system.createTurnMessage();
+      }
+    }
+    if ( game.settings.get("dnd5e-2014", "combatEffectExpiry") ) await this._expireEffects(undo);
+    await this._triggerZones(combatant);
+
+    /**
+     * A hook event that fires when a combatant's turn starts. Only fires on the active GM's client and is not called
+     * when the combat is rewound.
+     * @function dnd5e.combatTurnStart
+     * @memberof hookEvents
+     * @param {Combat5e} combat            The combat encounter.
+     * @param {Combatant5e} combatant      Combatant whose turn is starting.
+     * @param {CombatTurnContext} context  Context for the turn change.
+     */
+    Hooks.callAll("dnd5e.combatTurnStart", this, combatant, context);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Restore an actor's legendary actions to their maximum.
+   * @param {Actor5e} actor      Actor whose turn is starting.
+   * @param {TurnUndoData} undo  Record of changes to which the previous value will be added.
+   * @protected
+   */
+  async _resetLegendaryActions(actor, undo) {
+    const legact = actor.system.resources?.legact;
+    if ( !legact?.max || (legact.value >= legact.max) ) return;
+    undo.legact[actor.uuid] = legact.value;
+    await actor.update({ "system.resources.legact.value": legact.max });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Restore the actions, bonus action, and reaction a combatant has spent.
+   * @param {Combatant5e} combatant  Combatant whose turn is starting.
+   * @param {TurnUndoData} undo      Record of changes to which the spent actions will be added.
+   * @protected
+   */
+  async _resetActions(combatant, undo) {
+    const used = combatant.actionsUsed;
+    if ( !Object.values(used).some(u => u) ) return;
+    undo.actions[combatant.id] = used;
+    await combatant.resetActions();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Roll recharge for any depleted items that use the d6 recharge mechanic.
+   * @param {Actor5e} actor      Actor whose turn is starting.
+   * @param {TurnUndoData} undo  Record of changes to which recharged items will be added.
+   * @protected
+   */
+  async _rollRecharge(actor, undo) {
+    for ( const item of actor.items ) {
+      const { recharge, uses } = item.system;
+      if ( !recharge?.value ) continue;
+      const depleted = !recharge.charged || ((uses?.per === "charges") && uses.max && !uses.value);
+      if ( !depleted ) continue;
+      const previousUses = uses?.value ?? null;
+      await item.rollRecharge();
+      if ( item.system.recharge.charged ) undo.recharge[item.uuid] = previousUses;
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Trigger the effects of any zones within which a combatant starts their turn.
+   * @param {Combatant5e} combatant  Combatant whose turn is starting.
+   * @protected
+   */
+  async _triggerZones(combatant) {
+    const token = combatant.token;
+    if ( !token?.object ) return;
+    for ( const template of dnd5e.canvas.AbilityTemplate.getZones(token.parent) ) {
+      if ( !dnd5e.canvas.AbilityTemplate.isTokenCovered(template.object, token.object) ) continue;
+      await dnd5e.canvas.AbilityTemplate.triggerZone(template, token, this, "start");
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Delete any effects on combatants whose duration is measured in rounds or turns and has elapsed.
+   * @param {TurnUndoData} undo  Record of changes to which the expired effects will be added.
+   * @protected
+   */
+  async _expireEffects(undo) {
+    const actors = new Set(this.combatants.map(c => c.actor).filter(a => a));
+    for ( const actor of actors ) {
+      const expired = actor.effects.filter(e => this._isEffectExpired(e));
+      if ( !expired.length ) continue;
+      undo.effects[actor.uuid] ??= [];
+      undo.effects[actor.uuid].push(...expired.map(e => e.toObject()));
+      await actor.deleteEmbeddedDocuments("ActiveEffect", expired.map(e => e.id));
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Determine whether an effect with a duration measured in combat rounds or turns has expired in this combat.
+   * @param {ActiveEffect5e} effect  The effect to test.
+   * @returns {boolean}
+   */
+  _isEffectExpired(effect) {
+    const { rounds, turns, startRound, startTurn, combat } = effect.duration ?? {};
+    if ( !rounds && !turns ) return false;
+    if ( combat && (combat !== this.id) ) return false;
+    const nTurns = this.turns.length || 1;
+    const time = (round, turn) => (round ?? 0) + ((turn ?? 0) / nTurns);
+    const remaining = (time(startRound, startTurn) + time(rounds, turns)) - time(this.round, this.turn);
+    return remaining.toNearest(0.01) <= 0;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Revert changes recorded while processing turns after the current combat position.
+   * @protected
+   */
+  async _revertTurnChanges() {
+    const history = this.getFlag("dnd5e-2014", "turnUndo") ?? {};
+    const keys = Object.keys(history).filter(key => {
+      const [round, turn] = key.split("-").map(Number);
+      return (round > this.round) || ((round === this.round) && (turn > this.turn));
+    }).sort((lhs, rhs) => rhs.localeCompare(lhs, "en", { numeric: true }));
+    if ( !keys.length ) return;
+
+    for ( const key of keys ) {
+      const { legact={}, recharge={}, effects={}, actions={} } = history[key];
+      for ( const [uuid, value] of Object.entries(legact) ) {
+        await fromUuidSync(uuid)?.update({ "system.resources.legact.value": value });
+      }
+      for ( const [uuid, uses] of Object.entries(recharge) ) {
+        const update = { "system.recharge.charged": false };
+        if ( uses !== null ) update["system.uses.value"] = uses;
+        await fromUuidSync(uuid)?.update(update);
+      }
+      for ( const [uuid, data] of Object.entries(effects) ) {
+        const actor = fromUuidSync(uuid);
+        const missing = data.filter(d => !actor?.effects.has(d._id));
+        if ( missing.length ) await actor.createEmbeddedDocuments("ActiveEffect", missing, { keepId: true });
+      }
+      for ( const [id, used] of Object.entries(actions) ) {
+        await this.combatants.get(id)?.setFlag("dnd5e-2014", "actions", used);
+      }
+    }
+
+    await this.update(keys.reduce((obj, key) => {
+      obj[`flags.dnd5e-2014.turnUndo.-=${key}`] = null;
+      return obj;
+    }, {}));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Record changes made during a turn change so they can be reverted, discarding records from older rounds.
+   * @param {TurnUndoData} undo  Changes made during the turn change.
+   * @protected
+   */
+  async _recordTurnChanges(undo) {
+    const updates = {};
+    for ( const key of Object.keys(this.getFlag("dnd5e-2014", "turnUndo") ?? {}) ) {
+      if ( Number(key.split("-")[0]) < (this.round - 1) ) updates[`flags.dnd5e-2014.turnUndo.-=${key}`] = null;
+    }
+    const isEmpty = ["legact", "recharge", "effects", "actions"].every(k => foundry.utils.isEmpty(undo[k]));
+    if ( !isEmpty ) updates[`flags.dnd5e-2014.turnUndo.${this.round}-${this.turn}`] = undo;
+    if ( !foundry.utils.isEmpty(updates) ) await this.update(updates);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Run the turn lifecycle after the combat's round or turn has changed.
+   * @param {{round: number, turn: number, combatantId: string}} previous  Combat position before the change.
+   * @param {number} [direction]  Direction of the change, if known. Positive for forward, negative for backward.
+   * @protected
+   */
+  async _onChangeTurn5e(previous, direction) {
+    direction ??= (this.round - previous.round) || (this.turn - previous.turn);
+    if ( direction < 0 ) {
+      await this._revertTurnChanges();
+      return;
+    }
+    if ( !this.started || (direction === 0) ) return;
+
+    const context = {
+      round: this.round, turn: this.turn, undo: { legact: {}, recharge: {}, effects: {}, actions: {} }
+    };
+    const ended = previous.round > 0 ? this.combatants.get(previous.combatantId) : null;
+    if ( ended ) await this._onCombatantTurnEnd(ended, context);
+    if ( this.combatant ) await this._onCombatantTurnStart(this.combatant, context);
+    await this._recordTurnChanges(context.undo);
+  }
+
+  /* -------------------------------------------- */
+  /*  Socket Event Handlers                       */
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  async _preUpdate(changed, options, user) {
+    if ( (await super._preUpdate(changed, options, user)) === false ) return false;
+    if ( ("round" in changed) || ("turn" in changed) ) foundry.utils.setProperty(options, "dnd5e.previousTurn", {
+      round: this.round, turn: this.turn, combatantId: this.combatant?.id
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  _onCreateDescendantDocuments(parent, collection, documents, data, options, userId) {
+    super._onCreateDescendantDocuments(parent, collection, documents, data, options, userId);
+    if ( (collection !== "combatants") || (game.user !== game.users.activeGM) ) return;
+    this.createLairCombatants(documents);
+    this.shareMountInitiative();
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  _onUpdateDescendantDocuments(parent, collection, documents, changes, options, userId) {
+    super._onUpdateDescendantDocuments(parent, collection, documents, changes, options, userId);
+    if ( (collection !== "combatants") || (game.user !== game.users.activeGM) ) return;
+    if ( changes.some(c => "initiative" in c) ) this.shareMountInitiative();
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  _onDeleteDescendantDocuments(parent, collection, documents, ids, options, userId) {
+    super._onDeleteDescendantDocuments(parent, collection, documents, ids, options, userId);
+    if ( (collection !== "combatants") || (game.user !== game.users.activeGM) ) return;
+    const lairs = this.combatants.filter(c => ids.includes(c.getFlag("dnd5e-2014", "lair.source")));
+    if ( lairs.length ) this.deleteEmbeddedDocuments("Combatant", lairs.map(c => c.id));
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  _onUpdate(changed, options, userId) {
+    super._onUpdate(changed, options, userId);
+    const previous = foundry.utils.getProperty(options, "dnd5e.previousTurn");
+    if ( !previous || (game.user !== game.users.activeGM) ) return;
+    if ( (previous.round === this.round) && (previous.turn === this.turn) ) return;
+    this._onChangeTurn5e(previous, options.direction).catch(err => {
+      Hooks.onError("Combat5e#_onChangeTurn5e", err, { log: "error", notify: "error" });
+    });
+  }
+}
@@ -2,8 +2,132 @@
  * Custom combatant with custom initiative roll handling.
  */
 export default class Combatant5e extends Combatant {
+
+  /**
+   * Does this combatant represent the lair actions of another combatant?
+   * @type {boolean}
+   */
+  get isLairActions() {
+    return !!this.getFlag("dnd5e-2014", "lair.source");
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * The combatant whose lair actions are represented by this combatant, if any.
+   * @type {Combatant5e|null}
+   */
+  get lairSource() {
+    if ( !this.isLairActions ) return null;
+    return this.parent?.combatants.get(this.getFlag("dnd5e-2014", "lair.source")) ?? null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * The combatant of the rider controlling this combatant's mount, with whom it shares initiative.
+   * @type {Combatant5e|null}
+   */
+  get riderCombatant() {
+    const rider = this.actor?.getFlag("dnd5e-2014", "rider");
+    if ( !rider?.controlled ) return null;
+    return this.parent?.combatants.find(c => (c !== this) && (c.actor?.uuid === rider.uuid)) ?? null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Activation types from `DND5E.actionEconomy` that this combatant has already spent this round.
+   * @type {Record<string, boolean>}
+   */
+  get actionsUsed() {
+    return this.getFlag("dnd5e-2014", "actions") ?? {};
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Legendary features available to this combatant's actor.
+   * @type {Item5e[]}
+   */
+  get legendaryFeatures() {
+    return this.actor?.items.filter(i => i.system.activation?.type === "legendary") ?? [];
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Use one of this combatant's legendary features, spending its cost from the actor's legendary actions.
+   * @param {Item5e} item  Legendary feature to use.
+   * @returns {Promise<ChatMessage5e|object|void>}  Result of the item usage, if it was used.
+   */
+  async useLegendaryAction(item) {
+    const legact = this.actor?.system.resources?.legact;
+    const cost = item.system.activation?.cost || 1;
+    if ( !legact || (legact.value < cost) ) {
+      ui.notifications.warn(game.i18n.format("DND5E.Combat.LegendaryActionsInsufficient", {
+        name: this.name, item: item.name
+      }));
+      return;
+    }
+    const { type, target } = item.system.consume ?? {};
+    const consumesActions = (type === "attribute") && (target === "resources.legact.value");
+    const result = await item.use();
+    if ( result && !consumesActions ) {
+      await this.actor.update({ "system.resources.legact.value": Math.max(legact.value - cost, 0) });
+    }
+    return result;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Spend one of this combatant's actions for the round. Warns if a reaction has already been taken.
+   * @param {string} type  Activation type from `DND5E.actionEconomy`.
+   * @returns {Promise<Combatant5e|void>}
+   */
+  async consumeAction(type) {
+    if ( !(type in CONFIG.DND5E.actionEconomy) || !this.parent?.started ) return;
+    if ( this.actionsUsed[type] ) {
+      if ( type === "reaction" ) ui.notifications.warn(game.i18n.format("DND5E.Combat.ReactionUsed", {
+        name: this.name
+      }));
+      return;
+    }
+    return this.setFlag("dnd5e-2014", `actions.${type}`, true);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Toggle whether one of this combatant's actions has been spent this round.
+   * @param {string} type  Activation type from `DND5E.actionEconomy`.
+   * @returns {Promise<Combatant5e|void>}
+   */
+  async toggleAction(type) {
+    if ( !(type in CONFIG.DND5E.actionEconomy) ) return;
+    return this.setFlag("dnd5e-2014", `actions.${type}`, !this.actionsUsed[type]);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Restore all of this combatant's actions at the start of its turn.
+   * @returns {Promise<Combatant5e|void>}
+   */
+  async resetActions() {
+    if ( !Object.values(this.actionsUsed).some(u => u) ) return;
+    return this.unsetFlag("dnd5e-2014", "actions");
+  }
+
+  /* -------------------------------------------- */
+
   /** @override */
   getInitiativeRoll(formula) {
+    if ( this.isLairActions ) {
+      const initiative = this.lairSource?.actor?.system.resources?.lair?.initiative ?? this.initiative ?? 20;
+      return new Roll(String(initiative));
+    }
     if ( !this.actor ) return new CONFIG.Dice.D20Roll(formula ?? "1d20", {});
     return this.actor.getInitiativeRoll();
   }
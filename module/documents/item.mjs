@@ -1,6 +1,7 @@
 import AdvancementManager from "../applications/advancement/advancement-manager.mjs";
 import AdvancementConfirmationDialog from "../applications/advancement/advancement-confirmation-dialog.mjs";
 import AbilityUseDialog from "../applications/item/ability-use-dialog.mjs";
+import AttackContext from "../canvas/attack-context.mjs";
 import ClassData from "../data/item/class.mjs";
 import ContainerData from "../data/item/container.mjs";
 import EquipmentData from "../data/item/equipment.mjs";
@@ -9,7 +10,7 @@ import { EnchantmentData } from "../data/item/fields/enchantment-field.mjs";
 import PhysicalItemTemplate from "../data/item/templates/physical-item.mjs";
 import {d20Roll, damageRoll} from "../dice/dice.mjs";
 import simplifyRollFormula from "../dice/simplify-roll-formula.mjs";
-import { getSceneTargets } from "../utils.mjs";
+import { formatNumber, getSceneTargets } from "../utils.mjs";
 import Proficiency from "./actor/proficiency.mjs";
 import SelectChoices from "./actor/select-choices.mjs";
 import Advancement from "./advancement/advancement.mjs";
@@ -354,6 +355,25 @@ export default class Item5e extends SystemDocumentMixin(Item) {
 
   /* -------------------------------------------- */
 
+  /**
+   * Can this spell be cast as a ritual by its owner? Depends on the ritual casting mode of the class through which
+   * the spell was learned, unless the spell can only be cast as a ritual.
+   * @type {boolean}
+   */
+  get canCastAsRitual() {
+    if ( (this.type !== "spell") || !this.system.properties.has("ritual") || !this.actor ) return false;
+    const { mode, prepared } = this.system.preparation;
+    if ( mode === "ritual" ) return true;
+    const cls = this.actor.getSpellLearningClass?.(this);
+    switch ( cls?.system.spellcasting.ritual ) {
+      case "known": return true;
+      case "prepared": return (mode === "always") || ((mode === "prepared") && prepared);
+      default: return false;
+    }
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Class associated with this subclass. Always returns null on non-subclass or non-embedded items.
    * @type {Item5e|null}
@@ -695,12 +715,13 @@ export default class Item5e extends SystemDocumentMixin(Item) {
    */
   _prepareProficiency() {
     if ( !["spell", "weapon", "equipment", "tool", "feat", "consumable"].includes(this.type) ) return;
-    if ( !this.actor?.system.attributes?.prof ) {
+    const actor = this.actor?.system.getStationCrew?.(this.id) ?? this.actor;
+    if ( !actor?.system.attributes?.prof ) {
       this.system.prof = new Proficiency(0, 0);
       return;
     }
 
-    this.system.prof = new Proficiency(this.actor.system.attributes.prof, this.system.proficiencyMultiplier ?? 0);
+    this.system.prof = new Proficiency(actor.system.attributes.prof, this.system.proficiencyMultiplier ?? 0);
   }
 
   /* -------------------------------------------- */
@@ -892,6 +913,7 @@ export default class Item5e extends SystemDocumentMixin(Item) {
    * @typedef {object} ItemUseConfiguration
    * @property {boolean} createMeasuredTemplate     Should this item create a template?
    * @property {boolean} createSummons              Should this item create a summoned creature?
+   * @property {boolean} consumeMaterials           Should this item (a spell) consume its material components?
    * @property {boolean} consumeResource            Should this item consume a (non-ammo) resource?
    * @property {boolean} consumeSpellSlot           Should this item (a spell) consume a spell slot?
    * @property {boolean} consumeUsage               Should this item consume its limited uses or recharge?
@@ -901,7 +923,11 @@ export default class Item5e extends SystemDocumentMixin(Item) {
    * @property {string|null} summonsProfile         ID of the summoning profile to use.
    * @property {number|null} resourceAmount         The amount to consume by default when scaling with consumption.
    * @property {boolean} beginConcentrating         Should this item initiate concentration?
+   * @property {boolean} castAsRitual               Should this item (a spell) be cast as a ritual without expending
+   *                                                a spell slot?
    * @property {string|null} endConcentration       The id of the active effect to end concentration on, if any.
+   * @property {boolean} excludeAllies              Should the user and their allies be excluded when targeting tokens
+   *                                                covered by the created template?
    */
 
   /**
@@ -968,6 +994,14 @@ export default class Item5e extends SystemDocumentMixin(Item) {
       foundry.utils.mergeObject(config, configuration);
     }
 
+    // Rituals are cast at their base level without expending a spell slot
+    if ( config.castAsRitual ) {
+      config.consumeSpellSlot = false;
+      config.slotLevel = null;
+      config.resourceAmount = null;
+      foundry.utils.setProperty(options.flags, "dnd5e.use.ritual", true);
+    }
+
     // Store selected enchantment profile in flag
     if ( config.enchantmentProfile ) {
       foundry.utils.setProperty(options.flags, "dnd5e.use.enchantmentProfile", config.enchantmentProfile);
@@ -1000,6 +1034,10 @@ export default class Item5e extends SystemDocumentMixin(Item) {
     // Calculate and consume item consumption
     if ( await this.consume(item, config, options) === false ) return;
 
+    // Spend the combatant's action, bonus action, or reaction
+    const combatant = game.combat?.combatants.find(c => c.actor === item.actor);
+    await combatant?.consumeAction(is.activation?.type);
+
     // Initiate or end concentration.
     const effects = [];
     if ( config.beginConcentrating ) {
@@ -1014,6 +1052,20 @@ export default class Item5e extends SystemDocumentMixin(Item) {
       }
     }
 
+    // Emit light from the actor's tokens for items that cannot be equipped, such as spells, as long as something
+    // will eventually end it
+    const concentration = item.actor.effects.get(foundry.utils.getProperty(options.flags, "dnd5e.use.concentrationId"));
+    const expires = !foundry.utils.isEmpty(ActiveEffect.implementation.getEffectDurationFromItem(item));
+    if ( item.system.hasLight && !("equipped" in item.system) && (expires || concentration) ) {
+      const light = await ActiveEffect.implementation.create(
+        ActiveEffect.implementation.createLightEffectData(item), { parent: item.actor }
+      );
+      if ( light ) {
+        effects.push(light);
+        await concentration?.addDependent(light);
+      }
+    }
+
     // Prepare card data & display it if options.createMessage is true
     const cardData = await item.displayCard(options);
 
@@ -1021,7 +1073,15 @@ export default class Item5e extends SystemDocumentMixin(Item) {
     let templates;
     if ( config.createMeasuredTemplate ) {
       try {
-        templates = await (dnd5e.canvas.AbilityTemplate.fromItem(item))?.drawPreview();
+        const template = dnd5e.canvas.AbilityTemplate.fromItem(item);
+        if ( template ) template.excludeAllies = !!config.excludeAllies;
+        templates = await template?.drawPreview();
+        if ( templates?.length ) await this.constructor._recordTemplateTargets(cardData);
+
+        // Zones sustained by concentration are removed when it ends
+        const concentrationId = foundry.utils.getProperty(options.flags, "dnd5e.use.concentrationId");
+        const concentration = item.actor.effects.get(concentrationId);
+        if ( templates?.length && item.system.hasZone ) await concentration?.addDependent(...templates);
       } catch(err) {
         Hooks.onError("Item5e#use", err, {
           msg: game.i18n.localize("DND5E.PlaceTemplateError"),
@@ -1041,6 +1101,11 @@ export default class Item5e extends SystemDocumentMixin(Item) {
       }
     }
 
+    // Identify an item when casting a spell such as Identify
+    if ( (item.type === "spell") && CONFIG.DND5E.identifySpells.includes(item.identifier) ) {
+      await item.actor.identifyItem({ title: item.name });
+    }
+
     /**
      * A hook event that fires when an item is used, after the measured template has been created if one is needed.
      * @function dnd5e.useItem
@@ -1086,6 +1151,7 @@ export default class Item5e extends SystemDocumentMixin(Item) {
     if ( config.consumeUsage ) foundry.utils.setProperty(options.flags, "dnd5e.use.consumedUsage", true);
     if ( config.consumeResource ) foundry.utils.setProperty(options.flags, "dnd5e.use.consumedResource", true);
     if ( config.consumeSpellSlot ) foundry.utils.setProperty(options.flags, "dnd5e.use.consumedSpellSlot", true);
+    if ( config.consumeMaterials ) foundry.utils.setProperty(options.flags, "dnd5e.use.consumedMaterials", true);
 
     /**
      * A hook event that fires after an item's resource consumption has been calculated but before any
@@ -1124,6 +1190,7 @@ export default class Item5e extends SystemDocumentMixin(Item) {
     const config = {
       createMeasuredTemplate: null,
       createSummons: null,
+      consumeMaterials: null,
       consumeResource: null,
       consumeSpellSlot: null,
       consumeUsage: null,
@@ -1133,7 +1200,9 @@ export default class Item5e extends SystemDocumentMixin(Item) {
       summonsProfile: null,
       resourceAmount: null,
       beginConcentrating: null,
-      endConcentration: null
+      endConcentration: null,
+      castAsRitual: null,
+      excludeAllies: null
     };
 
     const scaling = this.usageScaling;
@@ -1145,6 +1214,12 @@ export default class Item5e extends SystemDocumentMixin(Item) {
       config.resourceAmount = consume.amount || 1;
     }
     if ( this.hasLimitedUses ) config.consumeUsage = uses.prompt;
+    if ( this.system.getMaterialComponents?.()?.consumed ) config.consumeMaterials = true;
+    if ( this.canCastAsRitual ) {
+      // Spells that aren't prepared, or that can only be cast as rituals, default to being cast as a ritual
+      const { mode, prepared } = preparation;
+      config.castAsRitual = (mode === "ritual") || ((mode === "prepared") && !prepared);
+    }
     if ( this.hasResource ) {
       config.consumeResource = true;
       // Do not suggest consuming your own uses if also consuming them through resources.
@@ -1152,6 +1227,7 @@ export default class Item5e extends SystemDocumentMixin(Item) {
     }
     if ( game.user.can("TEMPLATE_CREATE") && this.hasAreaTarget && canvas.scene ) {
       config.createMeasuredTemplate = target.prompt;
+      if ( game.settings.get("dnd5e-2014", "templateTargeting") !== "none" ) config.excludeAllies = false;
     }
     if ( this.system.isEnchantment ) {
       const availableEnchantments = EnchantmentData.availableEnchantments(this);
@@ -1220,6 +1296,12 @@ export default class Item5e extends SystemDocumentMixin(Item) {
       actorUpdates[`system.spells.${config.slotLevel}.value`] = Math.max(spells - 1, 0);
     }
 
+    // Verify and consume material components
+    if ( this.type === "spell" ) {
+      const canCast = this._handleMaterialComponents(config, itemUpdates, resourceUpdates);
+      if ( canCast === false ) return false;
+    }
+
     // Determine whether the item can be used by testing for available concentration.
     if ( config.beginConcentrating ) {
       const { effects } = this.actor.concentration;
@@ -1295,6 +1377,42 @@ export default class Item5e extends SystemDocumentMixin(Item) {
 
   /* -------------------------------------------- */
 
+  /**
+   * Handle update actions required when a spell's material components are consumed, and check that costly components
+   * are available.
+   * @param {ItemUseConfiguration} config  Configuration data for an item usage being prepared.
+   * @param {object} itemUpdates           An object of data updates applied to this item
+   * @param {object[]} resourceUpdates     An array of updates to apply to other items owned by the actor
+   * @returns {boolean|void}               Return false to block further progress, or return nothing to continue
+   * @protected
+   */
+  _handleMaterialComponents(config, itemUpdates, resourceUpdates) {
+    const components = this.system.getMaterialComponents?.();
+    if ( !components ) return;
+
+    // Warn about or prevent casting without costly components
+    const enforcement = game.settings.get("dnd5e-2014", "costlyComponents");
+    if ( components.costly && !components.source && (enforcement !== "none") ) {
+      const message = game.i18n.format("DND5E.MaterialComponents.Warning.Missing", {
+        name: this.name, cost: formatNumber(this.system.materials.cost)
+      });
+      if ( enforcement === "enforce" ) {
+        ui.notifications.error(message);
+        return false;
+      }
+      ui.notifications.warn(message);
+    }
+
+    if ( !config.consumeMaterials ) return;
+    if ( components.source === "supply" ) {
+      itemUpdates["system.materials.supply"] = this.system.materials.supply - 1;
+    } else if ( components.source === "item" ) {
+      resourceUpdates.push({ _id: components.item.id, "system.quantity": components.item.system.quantity - 1 });
+    }
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Handle update actions required when consuming an external resource
    * @param {ItemUseConfiguration} usageConfig  Configuration data for an item usage being prepared.
@@ -1430,6 +1548,7 @@ export default class Item5e extends SystemDocumentMixin(Item) {
     const hasButtons = this.hasAttack || this.hasDamage || this.isVersatile || this.hasSave || this.system.formula
       || this.hasAreaTarget || (this.type === "tool") || this.hasAbilityCheck || this.system.hasSummoning
       || consumeUsage || consumeResource;
+    const isRitual = !!options.flags?.dnd5e?.use?.ritual;
     const templateData = {
       hasButtons,
       actor: this.actor,
@@ -1449,8 +1568,13 @@ export default class Item5e extends SystemDocumentMixin(Item) {
       isTool: this.type === "tool",
       hasAbilityCheck: this.hasAbilityCheck,
       consumeUsage,
-      consumeResource
+      consumeResource,
+      isRitual
     };
+    if ( isRitual ) templateData.data.subtitle = [
+      templateData.data.subtitle,
+      game.i18n.format("DND5E.RitualCasting.Subtitle", { activation: this.labels.activation })
+    ].filterJoin(" &bull; ");
     const html = await renderTemplate("systems/dnd5e-2014/templates/chat/item-card.hbs", templateData);
 
     // Create the ChatMessage data object
@@ -1500,6 +1624,49 @@ export default class Item5e extends SystemDocumentMixin(Item) {
     return card;
   }
 
+  /* -------------------------------------------- */
+
+  /**
+   * Display a chat card for the effects of this item's zone on a token within it.
+   * @param {TokenDocument5e} token        Token affected by the zone.
+   * @param {object} [options={}]
+   * @param {number} [options.spellLevel]  Level at which the spell creating the zone was cast.
+   * @param {string} [options.trigger]     How the zone was triggered, either "start" or "enter".
+   * @returns {Promise<ChatMessage5e|void>}
+   */
+  async displayZoneCard(token, { spellLevel, trigger="start" }={}) {
+    const { save, damage, conditions } = this.system.target.zone;
+    const dc = save.dc ?? this.system.save?.dc;
+    const html = await renderTemplate("systems/dnd5e-2014/templates/chat/zone-card.hbs", {
+      item: this,
+      actor: this.actor,
+      tokenId: this.actor?.token?.uuid ?? null,
+      spellLevel: spellLevel ?? this.system.level,
+      subtitle: game.i18n.format(`DND5E.Zone.Trigger.${trigger.capitalize()}`, { name: token.name }),
+      save: save.ability ? { ability: save.ability, dc, label: CONFIG.DND5E.abilities[save.ability]?.label } : null,
+      damage: damage.formula ? {
+        label: (CONFIG.DND5E.damageTypes[damage.type] ?? CONFIG.DND5E.healingTypes[damage.type])?.label
+      } : null,
+      conditions: Array.from(conditions).map(c => CONFIG.DND5E.conditionTypes[c]?.label).filter(_ => _).join(", ")
+    });
+
+    const messageData = {
+      content: html,
+      speaker: ChatMessage.getSpeaker({ actor: this.actor, token: this.actor?.token }),
+      flags: {
+        "core.canPopout": true,
+        "dnd5e-2014": {
+          targets: this.constructor._formatAttackTargets([token]),
+          zone: { itemUuid: this.uuid, trigger }
+        }
+      }
+    };
+    // TODO: Remove when v11 support is dropped.
+    if ( game.release.generation < 12 ) messageData.type = CONST.CHAT_MESSAGE_TYPES.OTHER;
+    ChatMessage.applyRollMode(messageData, game.settings.get("core", "rollMode"));
+    return ChatMessage.implementation.create(messageData);
+  }
+
   /* -------------------------------------------- */
   /*  Chat Cards                                  */
   /* -------------------------------------------- */
@@ -1573,6 +1740,14 @@ export default class Item5e extends SystemDocumentMixin(Item) {
 
     // Targets
     const targets = this.constructor._formatAttackTargets();
+    const attackModifiers = this.actor.getConditionModifiers("attack");
+    if ( targets.length === 1 ) {
+      const target = game.user.targets.first();
+      if ( game.settings.get("dnd5e-2014", "combatAttackContext") ) {
+        attackModifiers.push(...AttackContext.getModifiers(this, target));
+      }
+      attackModifiers.push(...AttackContext.getConditionModifiers(this, target));
+    }
 
     // Compose roll options
     const rollConfig = foundry.utils.mergeObject({
@@ -1583,6 +1758,7 @@ export default class Item5e extends SystemDocumentMixin(Item) {
       flavor: title,
       elvenAccuracy,
       targetValue: targets.length === 1 ? targets[0].ac : undefined,
+      attackModifiers,
       halflingLucky: flags.halflingLucky,
       dialogOptions: {
         width: 400,
@@ -1639,12 +1815,13 @@ export default class Item5e extends SystemDocumentMixin(Item) {
 
   /**
    * Extract salient information about targeted Actors.
+   * @param {Iterable<Token5e|TokenDocument5e>} [tokens]  Tokens to describe, defaults to the current user's targets.
    * @returns {TargetDescriptor5e[]}
    * @protected
    */
-  static _formatAttackTargets() {
+  static _formatAttackTargets(tokens=game.user.targets) {
     const targets = new Map();
-    for ( const token of game.user.targets ) {
+    for ( const token of tokens ) {
       const { name } = token;
       const { img, system, uuid } = token.actor ?? {};
       const ac = system?.attributes?.ac ?? {};
@@ -1655,6 +1832,21 @@ export default class Item5e extends SystemDocumentMixin(Item) {
 
   /* -------------------------------------------- */
 
+  /**
+   * Record the current user's targets on an item's chat card once its template has been placed, so the card's
+   * actions apply to the tokens that were covered.
+   * @param {ChatMessage5e|object} message  The item's chat card.
+   * @returns {Promise<ChatMessage5e|void>}
+   * @protected
+   */
+  static async _recordTemplateTargets(message) {
+    if ( !(message instanceof ChatMessage) || !message.isOwner ) return;
+    if ( game.settings.get("dnd5e-2014", "templateTargeting") === "none" ) return;
+    return message.update({ "flags.dnd5e-2014.targets": this._formatAttackTargets() });
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Place a damage roll using an item (weapon, feat, spell, or equipment)
    * Rely upon the damageRoll logic for the core implementation.
@@ -1971,8 +2163,13 @@ export default class Item5e extends SystemDocumentMixin(Item) {
      */
     if ( Hooks.call("dnd5e.rollRecharge", this, roll) === false ) return roll;
 
-    // Update the Item data
-    if ( success ) this.update({"system.recharge.charged": true});
+    // Update the Item data, restoring charges for items which track them
+    if ( success ) {
+      const update = {"system.recharge.charged": true};
+      const uses = this.system.uses ?? {};
+      if ( (uses.per === "charges") && uses.max ) update["system.uses.value"] = uses.max;
+      await this.update(update);
+    }
 
     return roll;
   }
@@ -2061,7 +2258,7 @@ export default class Item5e extends SystemDocumentMixin(Item) {
       if ( !actor ) return;
 
       // Validate permission to proceed with the roll
-      const isTargetted = action === "save";
+      const isTargetted = ["save", "zoneConditions"].includes(action);
       if ( !( isTargetted || game.user.isGM || actor.isOwner ) ) return;
 
       // Get the Item from stored flag data or by the item ID on the Actor
@@ -2083,7 +2280,7 @@ export default class Item5e extends SystemDocumentMixin(Item) {
       let messageUpdates = {};
       switch ( action ) {
         case "abilityCheck":
-          targets = this._getChatCardTargets(card);
+          targets = this._getChatCardTargets(card, message);
           for ( let token of targets ) {
             const speaker = ChatMessage.getSpeaker({scene: canvas.scene, token: token.document});
             await token.actor.rollAbilityTest(button.dataset.ability, { event, speaker });
@@ -2116,19 +2313,27 @@ export default class Item5e extends SystemDocumentMixin(Item) {
           await item.consume(item, { consumeResource: true }, messageUpdates);
           break;
         case "damage":
-        case "versatile":
+        case "versatile": {
+          const recorded = message.getFlag("dnd5e-2014", "targets");
           await item.rollDamage({
             event: event,
             spellLevel: spellLevel,
-            versatile: action === "versatile"
+            versatile: action === "versatile",
+            options: recorded ? { messageData: { "flags.dnd5e-2014.targets": recorded } } : {}
           });
           break;
+        }
         case "formula":
           await item.rollFormula({event, spellLevel});
           break;
         case "placeTemplate":
           try {
-            await dnd5e.canvas.AbilityTemplate.fromItem(item, {"flags.dnd5e-2014.spellLevel": spellLevel})?.drawPreview();
+            const templates = await dnd5e.canvas.AbilityTemplate.fromItem(item, {
+              "flags.dnd5e-2014.spellLevel": spellLevel
+            })?.drawPreview();
+            if ( templates?.length ) await this._recordTemplateTargets(message);
+            const concentration = actor.effects.get(message.getFlag("dnd5e-2014", "use.concentrationId"));
+            if ( templates?.length && item.system.hasZone ) await concentration?.addDependent(...templates);
           } catch(err) {
             Hooks.onError("Item5e#_onChatCardAction", err, {
               msg: game.i18n.localize("DND5E.PlaceTemplateError"),
@@ -2138,7 +2343,7 @@ export default class Item5e extends SystemDocumentMixin(Item) {
           }
           break;
         case "save":
-          targets = this._getChatCardTargets(card);
+          targets = this._getChatCardTargets(card, message);
           for ( let token of targets ) {
             const dc = parseInt(button.dataset.dc);
             const speaker = ChatMessage.getSpeaker({scene: canvas.scene, token: token.document});
@@ -2154,6 +2359,24 @@ export default class Item5e extends SystemDocumentMixin(Item) {
         case "toolCheck":
           await item.rollToolCheck({event});
           break;
+        case "zoneConditions":
+          targets = this._getChatCardTargets(card, message);
+          for ( const condition of item.system.target.zone.conditions ) {
+            const effect = CONFIG.statusEffects.find(e => e.id === condition);
+            if ( effect ) for ( const token of targets ) await token.toggleEffect(effect, { active: true });
+          }
+          break;
+        case "zoneDamage": {
+          const { damage } = item.system.target.zone;
+          await item.clone({
+            "system.actionType": item.system.actionType || "other",
+            "system.damage": { parts: [[damage.formula, damage.type]], versatile: "" }
+          }, { keepId: true }).rollDamage({
+            event, spellLevel,
+            options: { messageData: { "flags.dnd5e-2014.targets": message.getFlag("dnd5e-2014", "targets") ?? [] } }
+          });
+          break;
+        }
       }
       if ( !foundry.utils.isEmpty(messageUpdates) ) await message.update(messageUpdates);
 
@@ -2234,6 +2457,8 @@ export default class Item5e extends SystemDocumentMixin(Item) {
     if ( needsConfiguration ) {
       let config = await AbilityUseDialog.create(item, {
         beginConcentrating: null,
+        castAsRitual: null,
+        consumeMaterials: null,
         consumeResource: null,
         consumeSpellSlot: null,
         consumeUsage: null,
@@ -2303,17 +2528,97 @@ export default class Item5e extends SystemDocumentMixin(Item) {
   /* -------------------------------------------- */
 
   /**
-   * Get token targets for the current chat card action and display warning of none are selected.
-   * @param {HTMLElement} card  The chat card being used.
-   * @returns {Token5e[]}       An Array of Token objects, if any.
+   * Get token targets for the current chat card action and display warning of none are selected. If targets were
+   * recorded on the card when its template was placed, only those the current user owns are used.
+   * @param {HTMLElement} card         The chat card being used.
+   * @param {ChatMessage5e} [message]  The chat message containing the card.
+   * @returns {Token5e[]}              An Array of Token objects, if any.
    * @private
    */
-  static _getChatCardTargets(card) {
-    const targets = getSceneTargets();
+  static _getChatCardTargets(card, message) {
+    const recorded = message?.getFlag("dnd5e-2014", "targets");
+    const targets = recorded ? recorded.reduce((arr, { uuid }) => {
+      const token = fromUuidSync(uuid)?.getActiveTokens()[0];
+      if ( token?.isOwner ) arr.push(token);
+      return arr;
+    }, []) : getSceneTargets();
     if ( !targets.length ) ui.notifications.warn("DND5E.ActionWarningNoToken", {localize: true});
     return targets;
   }
 
+  /* -------------------------------------------- */
+  /*  Identification                              */
+  /* -------------------------------------------- */
+
+  /**
+   * Reveal this item's true name, image, and details.
+   * @param {object} [options={}]
+   * @param {boolean} [options.chatMessage=true]  Announce the identification in chat if the item is owned by an actor.
+   * @returns {Promise<Item5e|void>}              The identified item.
+   */
+  async identify({ chatMessage=true }={}) {
+    if ( this.system.identified !== false ) return;
+    const unidentified = { name: this.name, img: this.img };
+
+    /**
+     * A hook event that fires before an item is identified.
+     * @function dnd5e.preIdentifyItem
+     * @memberof hookEvents
+     * @param {Item5e} item  Item being identified.
+     * @returns {boolean}    Explicitly return `false` to prevent the item from being identified.
+     */
+    if ( Hooks.call("dnd5e.preIdentifyItem", this) === false ) return;
+
+    await this.update({ "system.identified": true });
+
+    if ( chatMessage && this.actor ) {
+      const messageData = {
+        speaker: ChatMessage.getSpeaker({ actor: this.actor }),
+        content: `<p>${game.i18n.format("DND5E.Identification.Result", {
+          name: this.actor.name, unidentified: unidentified.name, item: this.toAnchor().outerHTML
+        })}</p>`,
+        "flags.dnd5e-2014.identified": { item: this.id, ...unidentified }
+      };
+      // TODO: Remove when v11 support is dropped.
+      if ( game.release.generation < 12 ) messageData.type = CONST.CHAT_MESSAGE_TYPES.OTHER;
+      ChatMessage.applyRollMode(messageData, game.settings.get("core", "rollMode"));
+      await ChatMessage.implementation.create(messageData);
+    }
+
+    /**
+     * A hook event that fires after an item has been identified.
+     * @function dnd5e.identifyItem
+     * @memberof hookEvents
+     * @param {Item5e} item  The identified item.
+     */
+    Hooks.callAll("dnd5e.identifyItem", this);
+
+    return this;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Set the identification state of many items at once, skipping any that cannot be identified.
+   * @param {Item5e[]} items       Items to update.
+   * @param {boolean} identified   Should the items be identified or concealed?
+   * @returns {Promise<Item5e[]>}  Items that were updated.
+   */
+  static async setIdentified(items, identified) {
+    const byParent = new Map();
+    for ( const item of items ) {
+      if ( !("identified" in item.system) || (item.system.identified === identified) ) continue;
+      const key = item.parent?.uuid ?? item.pack ?? null;
+      if ( !byParent.has(key) ) byParent.set(key, { parent: item.parent, pack: item.pack, updates: [] });
+      byParent.get(key).updates.push({ _id: item.id, "system.identified": identified });
+    }
+    const updated = [];
+    for ( const { parent, pack, updates } of byParent.values() ) {
+      updated.push(...await this.updateDocuments(updates, { parent, pack }));
+    }
+    return updated;
+  }
+
   /* -------------------------------------------- */
   /*  Advancements                                */
   /* -------------------------------------------- */
@@ -2714,6 +3019,32 @@ export default class Item5e extends SystemDocumentMixin(Item) {
 
   /* -------------------------------------------- */
 
+  /**
+   * Add additional system-specific sidebar directory context menu options for Item folders.
+   * @param {jQuery} html             The sidebar HTML.
+   * @param {object[]} folderOptions  The default array of context menu options.
+   */
+  static addFolderContextOptions(html, folderOptions) {
+    const getItems = header => {
+      const folder = game.folders.get(header.closest(".directory-item")[0]?.dataset.folderId);
+      if ( !folder ) return [];
+      return [folder, ...folder.getSubfolders(true)].flatMap(f => f.contents);
+    };
+    folderOptions.push({
+      name: "DND5E.Identification.IdentifyAll",
+      icon: '<i class="fa-solid fa-magnifying-glass"></i>',
+      callback: header => Item5e.setIdentified(getItems(header), true),
+      condition: header => game.user.isGM && getItems(header).some(i => i.system.identified === false)
+    }, {
+      name: "DND5E.Identification.ConcealAll",
+      icon: '<i class="fa-solid fa-eye-slash"></i>',
+      callback: header => Item5e.setIdentified(getItems(header), false),
+      condition: header => game.user.isGM && getItems(header).some(i => i.system.identified === true)
+    });
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Prepare creation data for the provided items and any items contained within them. The data created by this method
    * can be passed to `createDocuments` with `keepId` always set to true to maintain links to container contents.
@@ -2801,17 +3132,22 @@ export default class Item5e extends SystemDocumentMixin(Item) {
     }
 
     // Get spell data
-    const flags = {};
+    const flags = { "dnd5e-2014": {} };
     const itemData = (spell instanceof Item5e) ? spell.toObject() : spell;
     if ( Number.isNumeric(config.level) ) {
-      flags.dnd5e-2014 = { spellLevel: {
+      flags["dnd5e-2014"].spellLevel = {
         value: config.level,
         base: spell.system.level,
         scaling: spell.system.scaling
-      } };
+      };
       itemData.system.level = config.level;
     }
 
+    // Keep a reference to the original spell so it can later be copied into a spellbook
+    const spellSource = ((spell instanceof Item5e) && !spell.isEmbedded ? spell.uuid : null)
+      ?? itemData._stats?.compendiumSource ?? itemData.flags?.core?.sourceId ?? spell.uuid;
+    if ( spellSource ) flags["dnd5e-2014"].spellSource = spellSource;
+
     /**
      * A hook event that fires before the item data for a scroll is created.
      * @function dnd5e.preCreateScrollFromSpell
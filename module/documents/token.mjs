@@ -190,6 +190,7 @@ export default class TokenDocument5e extends SystemFlagsMixin(TokenDocument) {
   /** @override */
   prepareData() {
     super.prepareData();
+    this.prepareActorDerivedData();
     if ( !this.hasDynamicRing ) return;
     let size = this.baseActor?.system.traits?.size;
     if ( !this.actorLink ) {
@@ -204,11 +205,94 @@ export default class TokenDocument5e extends SystemFlagsMixin(TokenDocument) {
 
   /* -------------------------------------------- */
 
+  /**
+   * Apply data derived from this token's actor. Each step starts from the token's own configuration, so this can be
+   * safely called again after the actor has been re-prepared.
+   */
+  prepareActorDerivedData() {
+    this._prepareSensesVision();
+    this._prepareSensesDetectionModes();
+    this._prepareLight();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Derive sight range and vision mode from the actor's darkvision if the token's vision is linked to its senses.
+   * @protected
+   */
+  _prepareSensesVision() {
+    const senses = this.actor?.system.attributes?.senses;
+    if ( !senses || !this.getFlag("dnd5e-2014", "linkSenses") ) return;
+    const range = senses.darkvision || 0;
+    this.sight.range = range;
+    this.sight.visionMode = range ? "darkvision" : "basic";
+    const basic = this.detectionModes.find(m => m.id === DetectionMode.BASIC_MODE_ID);
+    if ( basic ) basic.range = range;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Add detection modes for any senses possessed by this token's actor. Modes configured manually on the token are
+   * left untouched unless the token's vision is linked to its senses, in which case their ranges are synced.
+   * @protected
+   */
+  _prepareSensesDetectionModes() {
+    const actor = this.actor;
+    const senses = actor?.system.attributes?.senses;
+    if ( !senses ) return;
+    const linked = !!this.getFlag("dnd5e-2014", "linkSenses");
+    const configured = new Set(this._source.detectionModes.map(m => m.id));
+    const ranges = Object.entries(CONFIG.DND5E.senseDetectionModes).map(([sense, id]) => [id, senses[sense]]);
+    ranges.push(["seeInMagicalDarkness", actor.getFlag("dnd5e-2014", "seeInMagicalDarkness")]);
+    for ( const [id, range] of ranges ) {
+      if ( !(id in CONFIG.Canvas.detectionModes) || (configured.has(id) && !linked) ) continue;
+      const index = this.detectionModes.findIndex(m => m.id === id);
+      if ( !range ) {
+        if ( index !== -1 ) this.detectionModes.splice(index, 1);
+      }
+      else if ( index === -1 ) this.detectionModes.push({ id, enabled: true, range });
+      else this.detectionModes[index].range = range;
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Emit the brightest light granted by the actor's equipped items or by light source effects created when using
+   * items, if it is brighter than the token's own light.
+   * @protected
+   */
+  _prepareLight() {
+    const actor = this.actor;
+    if ( !actor ) return;
+    const source = this._source.light;
+    const radius = l => Math.max(l?.bright ?? 0, l?.dim ?? 0);
+    const lights = [
+      ...actor.items.filter(i => i.system.equipped && i.system.hasLight).map(i => i.system.light),
+      ...actor.effects.filter(e => e.active).map(e => e.getFlag("dnd5e-2014", "light")).filter(l => l)
+    ];
+    let light = lights.reduce((best, l) => radius(l) > radius(best) ? l : best, null);
+    if ( radius(light) <= radius(source) ) light = source;
+    this.light.bright = light.bright ?? 0;
+    this.light.dim = light.dim ?? 0;
+    this.light.color = light.color ? Color.from(light.color) : null;
+    this.light.animation.type = light === source ? source.animation?.type ?? null : (light.animation || null);
+  }
+
+  /* -------------------------------------------- */
+
   /** @inheritDoc */
   _onUpdate(data, options, userId) {
     const textureChange = foundry.utils.hasProperty(data, "texture.src");
     if ( textureChange ) this.#subjectPath = undefined;
     super._onUpdate(data, options, userId);
+
+    const previous = foundry.utils.getProperty(options, "dnd5e.previousPosition");
+    if ( previous && (game.user === game.users.activeGM) ) this._triggerEnteredZones(previous).catch(err => {
+      Hooks.onError("TokenDocument5e#_triggerEnteredZones", err, { log: "error", notify: "error" });
+    });
   }
 
   /* -------------------------------------------- */
@@ -259,10 +343,40 @@ export default class TokenDocument5e extends SystemFlagsMixin(TokenDocument) {
     this.object.ring?.flashColor(Color.from(color), options);
   }
 
+  /* -------------------------------------------- */
+  /*  Zones                                       */
+  /* -------------------------------------------- */
+
+  /**
+   * Trigger the effects of any zones this token entered by moving during combat.
+   * @param {{x: number, y: number}} previous  Position of the token before it moved.
+   * @protected
+   */
+  async _triggerEnteredZones(previous) {
+    const combat = game.combat;
+    if ( !combat?.started || !this.object ) return;
+    const { AbilityTemplate } = dnd5e.canvas;
+    for ( const template of AbilityTemplate.getZones(this.parent) ) {
+      if ( AbilityTemplate.isTokenCovered(template.object, this.object, previous) ) continue;
+      if ( !AbilityTemplate.isTokenCovered(template.object, this.object) ) continue;
+      await AbilityTemplate.triggerZone(template, this, combat, "enter");
+    }
+  }
+
   /* -------------------------------------------- */
   /*  Socket Event Handlers                       */
   /* -------------------------------------------- */
 
+  /** @inheritDoc */
+  async _preUpdate(changed, options, user) {
+    if ( (await super._preUpdate(changed, options, user)) === false ) return false;
+    if ( ("x" in changed) || ("y" in changed) ) foundry.utils.setProperty(options, "dnd5e.previousPosition", {
+      x: this.x, y: this.y
+    });
+  }
+
+  /* -------------------------------------------- */
+
   /** @inheritDoc */
   _onDelete(options, userId) {
     super._onDelete(options, userId);
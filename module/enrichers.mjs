@@ -200,6 +200,21 @@ async function enrichAward(config, label, options) {
  * ```
  */
 async function enrichCheck(config, label, options) {
+  config = parseCheckConfig(config, options);
+  if ( !config ) return null;
+  if ( !label ) label = createRollLabel(config);
+  return config.passive ? createPassiveTag(label, config) : createRollLink(label, config);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Determine the ability, skill, tool, and DC used by a check from its configuration.
+ * @param {object} config              Configuration data.
+ * @param {EnrichmentOptions} options  Options provided to customize text enrichment.
+ * @returns {object|null}              Check configuration with type, or null if it is invalid.
+ */
+function parseCheckConfig(config, options) {
   for ( let value of config.values ) {
     value = foundry.utils.getType(value) === "string" ? slugify(value) : value;
     if ( value in CONFIG.DND5E.enrichmentLookup.abilities ) config.ability = value;
@@ -242,9 +257,7 @@ async function enrichCheck(config, label, options) {
   if ( invalid ) return null;
 
   const type = config.skill ? "skill" : config.tool ? "tool" : "check";
-  config = { type, ...config };
-  if ( !label ) label = createRollLabel(config);
-  return config.passive ? createPassiveTag(label, config) : createRollLink(label, config);
+  return { type, ...config };
 }
 
 /* -------------------------------------------- */
@@ -284,6 +297,21 @@ async function enrichCheck(config, label, options) {
  * ```
  */
 async function enrichSave(config, label, options) {
+  config = parseSaveConfig(config, options);
+  if ( !config ) return null;
+  if ( !label ) label = createRollLabel(config);
+  return createRollLink(label, config);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Determine the ability and DC used by a saving throw or concentration check from its configuration.
+ * @param {object} config              Configuration data.
+ * @param {EnrichmentOptions} options  Options provided to customize text enrichment.
+ * @returns {object|null}              Save configuration with type, or null if it is invalid.
+ */
+function parseSaveConfig(config, options) {
   for ( const value of config.values ) {
     if ( value in CONFIG.DND5E.enrichmentLookup.abilities ) config.ability = value;
     else if ( Number.isNumeric(value) ) config.dc = Number(value);
@@ -299,9 +327,7 @@ async function enrichSave(config, label, options) {
 
   if ( config.dc && !Number.isNumeric(config.dc) ) config.dc = simplifyBonus(config.dc, options.rollData);
 
-  config = { type: config._isConcentration ? "concentration" : "save", ...config };
-  if ( !label ) label = createRollLabel(config);
-  return createRollLink(label, config);
+  return { type: config._isConcentration ? "concentration" : "save", ...config };
 }
 
 /* -------------------------------------------- */
@@ -352,19 +378,8 @@ async function enrichSave(config, label, options) {
  * ```
  */
 async function enrichDamage(config, label, options) {
-  const formulaParts = [];
-  if ( config.formula ) formulaParts.push(config.formula);
-  for ( const value of config.values ) {
-    if ( value in CONFIG.DND5E.damageTypes ) config.type = value;
-    else if ( value in CONFIG.DND5E.healingTypes ) config.type = value;
-    else if ( value === "average" ) config.average = true;
-    else if ( value === "temp" ) config.type = "temphp";
-    else formulaParts.push(value);
-  }
-  config.formula = Roll.defaultImplementation.replaceFormulaData(formulaParts.join(" "), options.rollData ?? {});
-  if ( !config.formula ) return null;
-  config.damageType = config.type ?? (config._isHealing ? "healing" : null);
-  config.type = "damage";
+  config = parseDamageConfig(config, options);
+  if ( !config ) return null;
 
   if ( label ) return createRollLink(label, config);
 
@@ -391,6 +406,31 @@ async function enrichDamage(config, label, options) {
   return span;
 }
 
+/* -------------------------------------------- */
+
+/**
+ * Determine the formula and damage type used by a damage or healing roll from its configuration.
+ * @param {object} config              Configuration data.
+ * @param {EnrichmentOptions} options  Options provided to customize text enrichment.
+ * @returns {object|null}              Damage configuration, or null if no formula was provided.
+ */
+function parseDamageConfig(config, options) {
+  const formulaParts = [];
+  if ( config.formula ) formulaParts.push(config.formula);
+  for ( const value of config.values ) {
+    if ( value in CONFIG.DND5E.damageTypes ) config.type = value;
+    else if ( value in CONFIG.DND5E.healingTypes ) config.type = value;
+    else if ( value === "average" ) config.average = true;
+    else if ( value === "temp" ) config.type = "temphp";
+    else formulaParts.push(value);
+  }
+  config.formula = Roll.defaultImplementation.replaceFormulaData(formulaParts.join(" "), options.rollData ?? {});
+  if ( !config.formula ) return null;
+  config.damageType = config.type ?? (config._isHealing ? "healing" : null);
+  config.type = "damage";
+  return config;
+}
+
 /* -------------------------------------------- */
 /*  Embed Enrichers                             */
 /* -------------------------------------------- */
@@ -1083,72 +1123,116 @@ async function rollAction(event) {
   if ( !target ) return;
   event.stopPropagation();
 
-  const { type, ability, skill, tool, dc } = target.dataset;
-  const options = { event };
-  if ( dc ) options.targetValue = dc;
-
   const action = event.target.closest("a")?.dataset.action ?? "roll";
 
   // Direct roll
   if ( (action === "roll") || !game.user.isGM ) {
     target.disabled = true;
     try {
-      switch ( type ) {
+      switch ( target.dataset.type ) {
         case "damage": return await rollDamage(event);
         case "item": return await useItem(target.dataset);
       }
-
-      const tokens = getSceneTargets();
-      if ( !tokens.length ) {
-        ui.notifications.warn("EDITOR.DND5E.Inline.Warning.NoActor", { localize: true });
-        return;
-      }
-
-      for ( const token of tokens ) {
-        const actor = token.actor;
-        switch ( type ) {
-          case "check":
-            await actor.rollAbilityTest(ability, options);
-            break;
-          case "concentration":
-            if ( ability in CONFIG.DND5E.abilities ) options.ability = ability;
-            await actor.rollConcentration(options);
-            break;
-          case "save":
-            await actor.rollAbilitySave(ability, options);
-            break;
-          case "skill":
-            if ( ability ) options.ability = ability;
-            await actor.rollSkill(skill, options);
-            break;
-          case "tool":
-            options.ability = ability;
-            await actor.rollToolCheck(tool, options);
-            break;
-        }
-      }
+      return await rollForTokens(target.dataset, { event });
     } finally {
       target.disabled = false;
     }
   }
 
   // Roll request
-  else {
-    const MessageClass = getDocumentClass("ChatMessage");
-    const chatData = {
-      user: game.user.id,
-      content: await renderTemplate("systems/dnd5e-2014/templates/chat/request-card.hbs", {
-        buttonLabel: createRollLabel({ ...target.dataset, format: "short", icon: true }),
-        hiddenLabel: createRollLabel({ ...target.dataset, format: "short", icon: true, hideDC: true }),
-        dataset: { ...target.dataset, action: "rollRequest" }
-      }),
-      flavor: game.i18n.localize("EDITOR.DND5E.Inline.RollRequest"),
-      speaker: MessageClass.getSpeaker({user: game.user})
-    };
-    // TODO: Remove when v11 support is dropped.
-    if ( game.release.generation < 12 ) chatData.type = CONST.CHAT_MESSAGE_TYPES.OTHER;
-    return MessageClass.create(chatData);
+  else return requestRoll(target.dataset);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Roll a check or saving throw for each of the selected tokens.
+ * @param {object} dataset
+ * @param {string} dataset.type       Type of roll to perform (e.g. "check", "skill", or "save").
+ * @param {string} [dataset.ability]  Ability used for the roll.
+ * @param {string} [dataset.skill]    Skill being rolled.
+ * @param {string} [dataset.tool]     Tool being rolled.
+ * @param {number} [dataset.dc]       Target value for the roll.
+ * @param {object} [options={}]       Options passed through to the roll methods.
+ * @returns {Promise}
+ */
+async function rollForTokens({ type, ability, skill, tool, dc }, options={}) {
+  if ( dc ) options.targetValue = dc;
+
+  const tokens = getSceneTargets();
+  if ( !tokens.length ) {
+    ui.notifications.warn("EDITOR.DND5E.Inline.Warning.NoActor", { localize: true });
+    return;
   }
+
+  for ( const token of tokens ) {
+    const actor = token.actor;
+    switch ( type ) {
+      case "check":
+        await actor.rollAbilityTest(ability, options);
+        break;
+      case "concentration":
+        if ( ability in CONFIG.DND5E.abilities ) options.ability = ability;
+        await actor.rollConcentration(options);
+        break;
+      case "save":
+        await actor.rollAbilitySave(ability, options);
+        break;
+      case "skill":
+        if ( ability ) options.ability = ability;
+        await actor.rollSkill(skill, options);
+        break;
+      case "tool":
+        options.ability = ability;
+        await actor.rollToolCheck(tool, options);
+        break;
+    }
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Post a chat message requesting players make a check or saving throw. If the `request` flag is set, a group roll
+ * request is created instead which collects the results from the selected actors or the primary party.
+ * @param {object} dataset  Roll configuration data.
+ * @returns {Promise<ChatMessage5e>}
+ */
+async function requestRoll(dataset) {
+  const MessageClass = getDocumentClass("ChatMessage");
+  if ( String(dataset.request) === "true" ) return requestGroupRoll(dataset);
+  const chatData = {
+    user: game.user.id,
+    content: await renderTemplate("systems/dnd5e-2014/templates/chat/request-card.hbs", {
+      buttonLabel: createRollLabel({ ...dataset, format: "short", icon: true }),
+      hiddenLabel: createRollLabel({ ...dataset, format: "short", icon: true, hideDC: true }),
+      dataset: { ...dataset, action: "rollRequest" }
+    }),
+    flavor: game.i18n.localize("EDITOR.DND5E.Inline.RollRequest"),
+    speaker: MessageClass.getSpeaker({user: game.user})
+  };
+  // TODO: Remove when v11 support is dropped.
+  if ( game.release.generation < 12 ) chatData.type = CONST.CHAT_MESSAGE_TYPES.OTHER;
+  return MessageClass.create(chatData);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Post a group roll request for the selected actors, or for the members of the primary party if nothing is selected.
+ * @param {object} dataset  Roll configuration data.
+ * @returns {Promise<ChatMessage5e|void>}
+ */
+async function requestGroupRoll(dataset) {
+  let actors = getSceneTargets().map(t => t.actor);
+  if ( !actors.length ) actors = game.settings.get("dnd5e-2014", "primaryParty")?.actor?.system.playerCharacters ?? [];
+  const { type, ability, skill, tool } = dataset;
+  const config = { type, ability, skill, tool, group: String(dataset.group) === "true" };
+  if ( Number.isNumeric(dataset.dc) ) config.dc = Number(dataset.dc);
+  if ( dataset.damage ) config.damage = {
+    formula: dataset.damage, type: dataset.damageType, half: String(dataset.half) === "true"
+  };
+  return getDocumentClass("ChatMessage").createGroupRequest(config, actors);
 }
 
 /* -------------------------------------------- */
@@ -1160,8 +1244,22 @@ async function rollAction(event) {
  */
 async function rollDamage(event) {
   const target = event.target.closest(".roll-link");
-  const { formula, damageType } = target.dataset;
+  return performDamageRoll(target.dataset, { event });
+}
+
+/* -------------------------------------------- */
 
+/**
+ * Roll damage or healing, posting a chat card that can be applied to tokens.
+ * @param {object} dataset
+ * @param {string} dataset.formula         Damage formula to roll.
+ * @param {string} [dataset.damageType]    Type of damage or healing being rolled.
+ * @param {object} [options={}]
+ * @param {Event} [options.event]          Triggering event.
+ * @param {boolean} [options.fastForward]  Skip the roll configuration dialog.
+ * @returns {Promise<void>}
+ */
+async function performDamageRoll({ formula, damageType }, { event, fastForward }={}) {
   const isHealing = damageType in CONFIG.DND5E.healingTypes;
   const title = game.i18n.localize(`DND5E.${isHealing ? "Healing" : "Damage"}Roll`);
   const rollConfig = {
@@ -1171,6 +1269,7 @@ async function rollDamage(event) {
     }],
     flavor: title,
     event,
+    fastForward,
     title,
     messageData: {
       "flags.dnd5e-2014": {
@@ -1229,3 +1328,115 @@ async function useItem({ rollItemUuid, rollItemName, rollItemActor }={}) {
     actor: actor.name, name: rollItemName, type: game.i18n.localize("DOCUMENT.Item")
   }));
 }
+
+/* -------------------------------------------- */
+/*  Chat Commands                               */
+/* -------------------------------------------- */
+
+/**
+ * Regular expression used to match chat commands that share their syntax with the roll enrichers.
+ * @type {RegExp}
+ */
+const CHAT_COMMAND_PATTERN = new RegExp(
+  /^\/(?<type>check|skill|tool|save|concentration|damage|healing|rest)(?:\s+(?<config>.*))?$/is
+);
+
+/* -------------------------------------------- */
+
+/**
+ * Use the `chatMessage` hook to determine if an enricher command (e.g. `/check dex dc=15`) was typed.
+ * @param {string} message  Text of the message being posted.
+ * @returns {boolean|void}  Returns `false` to prevent the message from continuing to parse.
+ */
+export function chatMessage(message) {
+  const match = message.match(CHAT_COMMAND_PATTERN);
+  if ( !match ) return;
+  handleChatCommand(match.groups.type.toLowerCase(), match.groups.config?.trim() ?? "", message);
+  return false;
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Parse an enricher chat command and perform it.
+ * @param {string} type     Command that was typed (e.g. "check" or "rest").
+ * @param {string} command  Configuration following the command, using the same syntax as the enrichers.
+ * @param {string} input    Full text of the message.
+ * @returns {Promise}
+ */
+async function handleChatCommand(type, command, input) {
+  const config = command ? parseConfig(command) : { _config: "", values: [] };
+  config._input = input;
+  const options = { rollData: {} };
+  try {
+    switch ( type ) {
+      case "rest": return await restCommand(config);
+      case "healing":
+        config._isHealing = true;
+        // Fall through
+      case "damage": {
+        const damage = parseDamageConfig(config, options);
+        if ( !damage ) throw new Error(game.i18n.format("DND5E.ChatCommand.Warning.Invalid", { command: input }));
+        return await performDamageRoll(damage, { fastForward: true });
+      }
+      case "concentration":
+        config._isConcentration = true;
+        // Fall through
+      case "save": return await rollCommand(parseSaveConfig(config, options), input);
+      default: return await rollCommand(parseCheckConfig(config, options), input);
+    }
+  } catch(err) {
+    ui.notifications.warn(err.message);
+  }
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Perform a check or saving throw command. GMs post a roll request unless `targets` is specified, in which case
+ * the roll is made for the selected tokens.
+ * @param {object|null} config  Parsed check or save configuration.
+ * @param {string} input        Full text of the message.
+ * @returns {Promise}
+ */
+async function rollCommand(config, input) {
+  if ( !config ) throw new Error(game.i18n.format("DND5E.ChatCommand.Warning.Invalid", { command: input }));
+  const dataset = Object.fromEntries(Object.entries(config).filter(([k, v]) => {
+    return !k.startsWith("_") && !["targets", "values"].includes(k) && v;
+  }));
+  if ( config.targets || !game.user.isGM ) return rollForTokens(dataset);
+  return requestRoll(dataset);
+}
+
+/* -------------------------------------------- */
+
+/**
+ * Perform a rest command for the primary party or the selected tokens.
+ * @param {object} config  Parsed rest configuration.
+ * @returns {Promise}
+ */
+async function restCommand(config) {
+  for ( const value of config.values ) {
+    if ( ["short", "long"].includes(value) ) config.type = value;
+    else config[value] = true;
+  }
+  if ( !["short", "long"].includes(config.type) ) {
+    throw new Error(game.i18n.format("DND5E.ChatCommand.Warning.Invalid", { command: config._input }));
+  }
+  const method = config.type === "short" ? "shortRest" : "longRest";
+  const restConfig = {};
+  for ( const key of ["dialog", "chat", "newDay", "advanceTime"] ) {
+    if ( key in config ) restConfig[key] = config[key];
+  }
+
+  if ( config.party ) {
+    if ( !game.user.isGM ) throw new Error(game.i18n.localize("DND5E.ChatCommand.Warning.NotGM"));
+    const primaryParty = game.settings.get("dnd5e-2014", "primaryParty")?.actor;
+    if ( !primaryParty ) throw new Error(game.i18n.localize("DND5E.ChatCommand.Warning.NoPrimaryParty"));
+    return primaryParty[method]({ advanceTime: true, ...restConfig });
+  }
+
+  const actors = new Set(getSceneTargets().map(t => t.actor).filter(a => a.isOwner));
+  if ( !actors.size ) throw new Error(game.i18n.localize("EDITOR.DND5E.Inline.Warning.NoActor"));
+  for ( const actor of actors ) await actor[method](restConfig);
+}
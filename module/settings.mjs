@@ -100,6 +100,21 @@ export function registerSystemSettings() {
     type: Boolean
   });
 
+  // Target tokens within placed templates
+  game.settings.register("dnd5e-2014", "templateTargeting", {
+    name: "SETTINGS.5eTemplateTargeting.Name",
+    hint: "SETTINGS.5eTemplateTargeting.Hint",
+    scope: "world",
+    config: true,
+    default: "center",
+    type: String,
+    choices: {
+      none: "SETTINGS.5eTemplateTargeting.None",
+      center: "SETTINGS.5eTemplateTargeting.Center",
+      any: "SETTINGS.5eTemplateTargeting.Any"
+    }
+  });
+
   // Proficiency modifier type
   game.settings.register("dnd5e-2014", "proficiencyModifier", {
     name: "SETTINGS.5eProfN",
@@ -186,6 +201,36 @@ export function registerSystemSettings() {
     type: Boolean
   });
 
+  // Multiclassing Prerequisites
+  game.settings.register("dnd5e-2014", "multiclassPrerequisites", {
+    name: "SETTINGS.5eMulticlassPrerequisites.Name",
+    hint: "SETTINGS.5eMulticlassPrerequisites.Hint",
+    scope: "world",
+    config: true,
+    default: "warn",
+    type: String,
+    choices: {
+      none: "SETTINGS.5eMulticlassPrerequisites.None",
+      warn: "SETTINGS.5eMulticlassPrerequisites.Warn",
+      enforce: "SETTINGS.5eMulticlassPrerequisites.Enforce"
+    }
+  });
+
+  // Costly Material Components
+  game.settings.register("dnd5e-2014", "costlyComponents", {
+    name: "SETTINGS.5eCostlyComponents.Name",
+    hint: "SETTINGS.5eCostlyComponents.Hint",
+    scope: "world",
+    config: true,
+    default: "warn",
+    type: String,
+    choices: {
+      none: "SETTINGS.5eCostlyComponents.None",
+      warn: "SETTINGS.5eCostlyComponents.Warn",
+      enforce: "SETTINGS.5eCostlyComponents.Enforce"
+    }
+  });
+
   // Disable Concentration Tracking
   game.settings.register("dnd5e-2014", "disableConcentration", {
     name: "SETTINGS.5eNoConcentrationN",
@@ -196,6 +241,61 @@ export function registerSystemSettings() {
     type: Boolean
   });
 
+  // Combat Turn Automation
+  game.settings.register("dnd5e-2014", "combatLegendaryReset", {
+    name: "SETTINGS.DND5E.COMBAT.LegendaryReset.Name",
+    hint: "SETTINGS.DND5E.COMBAT.LegendaryReset.Hint",
+    scope: "world",
+    config: true,
+    default: false,
+    type: Boolean
+  });
+
+  game.settings.register("dnd5e-2014", "combatRecharge", {
+    name: "SETTINGS.DND5E.COMBAT.Recharge.Name",
+    hint: "SETTINGS.DND5E.COMBAT.Recharge.Hint",
+    scope: "world",
+    config: true,
+    default: false,
+    type: Boolean
+  });
+
+  game.settings.register("dnd5e-2014", "combatEffectExpiry", {
+    name: "SETTINGS.DND5E.COMBAT.EffectExpiry.Name",
+    hint: "SETTINGS.DND5E.COMBAT.EffectExpiry.Hint",
+    scope: "world",
+    config: true,
+    default: false,
+    type: Boolean
+  });
+
+  game.settings.register("dnd5e-2014", "combatVehicleTurn", {
+    name: "SETTINGS.DND5E.COMBAT.VehicleTurn.Name",
+    hint: "SETTINGS.DND5E.COMBAT.VehicleTurn.Hint",
+    scope: "world",
+    config: true,
+    default: false,
+    type: Boolean
+  });
+
+  game.settings.register("dnd5e-2014", "combatAttackContext", {
+    name: "SETTINGS.DND5E.COMBAT.AttackContext.Name",
+    hint: "SETTINGS.DND5E.COMBAT.AttackContext.Hint",
+    scope: "world",
+    config: true,
+    default: false,
+    type: Boolean
+  });
+
+  game.settings.register("dnd5e-2014", "combatFlanking", {
+    name: "SETTINGS.DND5E.COMBAT.Flanking.Name",
+    hint: "SETTINGS.DND5E.COMBAT.Flanking.Hint",
+    scope: "world",
+    config: true,
+    default: false,
+    type: Boolean
+  });
+
   // Collapse Item Cards (by default)
   game.settings.register("dnd5e-2014", "autoCollapseItemCards", {
     name: "SETTINGS.5eAutoCollapseCardN",